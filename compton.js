@@ -4,6 +4,14 @@
 
 const canvas = document.getElementById('comptonCanvas');
 const ctx = canvas.getContext('2d');
+const angularCanvas = document.getElementById('angularCanvas');
+const angularCtx = angularCanvas.getContext('2d');
+const spectrumCanvas = document.getElementById('spectrumCanvas');
+const spectrumCtx = spectrumCanvas.getContext('2d');
+const traceCanvas = document.getElementById('traceCanvas');
+const traceCtx = traceCanvas.getContext('2d');
+const momentumCanvas = document.getElementById('momentumCanvas');
+const momentumCtx = momentumCanvas.getContext('2d');
 
 // UI Elements
 const els = {
@@ -12,6 +20,53 @@ const els = {
     angleSlide: document.getElementById('angle-slider'),
     angleVal: document.getElementById('angle-val'),
     btnFire: document.getElementById('btn-fire'),
+    mode: document.getElementById('mode-select'),
+    singleControls: document.getElementById('single-controls'),
+    beamControls: document.getElementById('beam-controls'),
+    mcPlots: document.getElementById('mc-plots'),
+    mcSpectrum: document.getElementById('mc-spectrum'),
+    windowSlide: document.getElementById('window-slider'),
+    windowVal: document.getElementById('window-val'),
+    rateSlide: document.getElementById('rate-slider'),
+    rateVal: document.getElementById('rate-val'),
+    axis: document.getElementById('axis-select'),
+    btnBeam: document.getElementById('btn-beam'),
+    btnResetHist: document.getElementById('btn-reset-hist'),
+    mcTotal: document.getElementById('mc-total'),
+    mcDetected: document.getElementById('mc-detected'),
+    mcMean: document.getElementById('mc-mean'),
+    readoutPanel: document.getElementById('readout-panel'),
+    photonGroup: document.getElementById('photon-group'),
+    detectorGroup: document.getElementById('detector-group'),
+    historicalControls: document.getElementById('historical-controls'),
+    tracePanel: document.getElementById('trace-panel'),
+    traceCursor: document.getElementById('trace-cursor'),
+    histAngle: document.getElementById('hist-angle-select'),
+    btnScan: document.getElementById('btn-scan'),
+    btnClearTrace: document.getElementById('btn-clear-trace'),
+    marker1: document.getElementById('marker1-val'),
+    marker2: document.getElementById('marker2-val'),
+    histShift: document.getElementById('hist-shift'),
+    histLambdaC: document.getElementById('hist-lambda-c'),
+    btnSaveResult: document.getElementById('btn-save-result'),
+    histResults: document.querySelector('#hist-results tbody'),
+    histMean: document.getElementById('hist-mean'),
+    btnClearResults: document.getElementById('btn-clear-results'),
+    balancePanel: document.getElementById('balance-panel'),
+    balIn: document.getElementById('bal-in'),
+    balOut: document.getElementById('bal-out'),
+    balPe: document.getElementById('bal-pe'),
+    balGamma: document.getElementById('bal-gamma'),
+    balKe: document.getElementById('bal-ke'),
+    balDe: document.getElementById('bal-de'),
+    balDp: document.getElementById('bal-dp'),
+    balCheck: document.getElementById('bal-check'),
+    targetGroup: document.getElementById('target-group'),
+    comptonWavelengthInfo: document.getElementById('compton-wavelength-info'),
+    material: document.getElementById('material-select'),
+    rayleighShare: document.getElementById('rayleigh-share'),
+    dopplerWidth: document.getElementById('doppler-width'),
+    mcCoherent: document.getElementById('mc-coherent'),
 
     // Readouts
     lambdaInc: document.getElementById('lambda-incident'),
@@ -23,8 +78,61 @@ const els = {
 };
 
 // Physics Constants
-const HC = 1240; // keV * pm roughly. (h*c = 1239.8 eV*nm = 1239.8 keV*pm)
-const LAMBDA_C = 2.43; // Compton Wavelength in pm
+const HC = 1239.842; // keV * pm (h*c = 1239.842 eV*nm = 1239.842 keV*pm)
+const ME_C2 = 510.999; // Electron rest energy in keV
+// Derived rather than rounded separately, so the shift formula conserves energy exactly
+const LAMBDA_C = HC / ME_C2; // Compton Wavelength in pm (≈ 2.426)
+
+const ALPHA_FS = 1 / 137.036; // fine-structure constant: 1 a.u. of momentum is α·mₑc
+const BOHR = 52.918; // Bohr radius (pm)
+
+/**
+ * Scatterer materials. Each shell is {n: electrons, p0: momentum width in
+ * atomic units (≈ Z_eff / principal quantum number), B: binding energy keV}.
+ * Shells use a hydrogenic momentum density, so the Compton profile is
+ * J(p_z) ∝ (1 + (p_z / p0)²)⁻³ and the form factor is n / (1 + (q / 2p0)²)².
+ */
+const MATERIALS = {
+    free: { name: 'Serbest Elektron', symbol: 'e⁻', Z: 1, shells: [] },
+    carbon: {
+        name: 'Karbon', symbol: 'C', Z: 6,
+        shells: [{ n: 2, p0: 5.7, B: 0.284 }, { n: 4, p0: 1.6, B: 0.011 }]
+    },
+    aluminium: {
+        name: 'Alüminyum', symbol: 'Al', Z: 13,
+        shells: [{ n: 2, p0: 12.6, B: 1.56 }, { n: 8, p0: 4.4, B: 0.09 }, { n: 3, p0: 1.2, B: 0.006 }]
+    },
+    copper: {
+        name: 'Bakır', symbol: 'Cu', Z: 29,
+        shells: [
+            { n: 2, p0: 28.3, B: 8.98 }, { n: 8, p0: 12.4, B: 0.95 },
+            { n: 18, p0: 3.2, B: 0.075 }, { n: 1, p0: 1.3, B: 0.008 }
+        ]
+    }
+};
+const SCATTER_TABLE_BINS = 1800; // 0.1° steps for sampling bound scatterers
+
+// Monte Carlo beam
+const MC = {
+    angleBins: 36, // 5° bins over 0-180°
+    spectrumBins: 120,
+    maxRays: 300, // scattered photons drawn at once
+    raysPerFrame: 6,
+    raySpeed: 5
+};
+
+// Compton's 1923 setup: Mo Kα on graphite, calcite Bragg spectrometer (first order)
+const HIST = {
+    lambda: 70.93, // Mo Kα1 (pm)
+    d: 303.6, // calcite lattice spacing (pm)
+    scanMin: 6.45, // crystal angle range (degrees)
+    scanMax: 7.35,
+    step: 0.005,
+    sigma: 0.025, // instrument resolution (degrees)
+    peakCounts: 400, // counts at the line maximum per step
+    background: 15,
+    framesPerStep: 2
+};
 
 // State
 const state = {
@@ -35,7 +143,35 @@ const state = {
     photons: [], // {x, y, vx, vy, type: 'incident'|'scattered', lambda}
     electrons: [], // {x, y, vx, vy, speed}
     isAnimating: false,
-    targetHit: false // New flag to track if target electron is gone
+    targetHit: false, // New flag to track if target electron is gone
+    lastEvent: null, // kinematics of the latest single-photon scatter, see computeEvent
+    material: 'free', // key of MATERIALS
+
+    mode: 'single', // 'single' | 'beam'
+    mc: {
+        running: false,
+        rate: 50, // scattering events per frame
+        window: 5, // detector half-acceptance (degrees)
+        axis: 'lambda', // 'lambda' | 'energy'
+        total: 0,
+        angleCounts: new Array(MC.angleBins).fill(0),
+        lambdaCounts: new Array(MC.spectrumBins).fill(0),
+        energyCounts: new Array(MC.spectrumBins).fill(0),
+        detected: 0,
+        detectedCoherent: 0,
+        detectedLambdaSum: 0,
+        table: null, // cumulative angular table for bound scatterers, see getScatterTable
+        rays: [] // {x, y, vx, vy, lambda}
+    },
+    hist: {
+        angle: 90, // scattering angle φ (degrees)
+        scanning: false,
+        frame: 0,
+        points: [], // {angle, counts}
+        markers: [null, null], // crystal angles (degrees)
+        nextMarker: 0,
+        results: [] // {phi, dTheta, dLambda, lambdaC}
+    }
 };
 
 const GEO = {
@@ -56,15 +192,130 @@ function addListeners() {
         state.lambda = parseFloat(e.target.value);
         els.wavelengthVal.innerText = state.lambda + ' pm';
         updatePhysics();
+        resetHistograms();
     });
 
     els.angleSlide.addEventListener('input', (e) => {
         state.theta = parseFloat(e.target.value);
         els.angleVal.innerText = state.theta + '°';
         updatePhysics();
+        resetSpectrum();
     });
 
     els.btnFire.addEventListener('click', firePhoton);
+
+    els.material.addEventListener('change', (e) => {
+        state.material = e.target.value;
+        state.lastEvent = null;
+        updatePhysics();
+        resetHistograms();
+    });
+
+    els.mode.addEventListener('change', (e) => {
+        setMode(e.target.value);
+    });
+
+    els.windowSlide.addEventListener('input', (e) => {
+        state.mc.window = parseFloat(e.target.value);
+        els.windowVal.innerText = '±' + state.mc.window + '°';
+        resetSpectrum();
+    });
+
+    els.rateSlide.addEventListener('input', (e) => {
+        state.mc.rate = parseInt(e.target.value);
+        els.rateVal.innerText = state.mc.rate + ' /kare';
+    });
+
+    els.axis.addEventListener('change', (e) => {
+        state.mc.axis = e.target.value;
+        drawSpectrum();
+    });
+
+    els.btnBeam.addEventListener('click', () => {
+        state.mc.running = !state.mc.running;
+        els.btnBeam.innerText = state.mc.running ? 'Demeti Kapat' : 'Demeti Aç';
+    });
+
+    els.btnResetHist.addEventListener('click', resetHistograms);
+
+    els.histAngle.addEventListener('change', (e) => {
+        state.hist.angle = parseFloat(e.target.value);
+        clearTrace();
+    });
+
+    els.btnScan.addEventListener('click', () => {
+        if (state.hist.scanning) {
+            stopScan();
+        } else {
+            startScan();
+        }
+    });
+
+    els.btnClearTrace.addEventListener('click', clearTrace);
+
+    traceCanvas.addEventListener('click', (e) => {
+        const angle = traceAngleAt(e);
+        if (angle === null) return;
+        const h = state.hist;
+        h.markers[h.nextMarker] = angle;
+        h.nextMarker = 1 - h.nextMarker;
+        updateMeasurement();
+        drawTrace();
+    });
+
+    traceCanvas.addEventListener('mousemove', (e) => {
+        const angle = traceAngleAt(e);
+        els.traceCursor.innerText = angle === null
+            ? 'İşaretçi koymak için grafiğe tıklayın.'
+            : `Kristal açısı: ${angle.toFixed(3)}°`;
+    });
+
+    els.btnSaveResult.addEventListener('click', saveResult);
+
+    els.btnClearResults.addEventListener('click', () => {
+        state.hist.results = [];
+        updateResults();
+    });
+
+    els.histResults.addEventListener('click', (e) => {
+        const index = e.target.dataset.index;
+        if (index === undefined) return;
+        state.hist.results.splice(parseInt(index), 1);
+        updateResults();
+    });
+}
+
+function setMode(mode) {
+    state.mode = mode;
+    const beam = mode === 'beam';
+    const historical = mode === 'historical';
+
+    els.singleControls.style.display = mode === 'single' ? '' : 'none';
+    els.balancePanel.style.display = mode === 'single' ? '' : 'none';
+    els.beamControls.style.display = beam ? '' : 'none';
+    els.mcPlots.style.display = beam ? '' : 'none';
+    els.mcSpectrum.style.display = beam ? '' : 'none';
+
+    // The historical setup fixes the source and detector, and hides the answer readouts
+    els.readoutPanel.style.display = historical ? 'none' : '';
+    els.photonGroup.style.display = historical ? 'none' : '';
+    els.detectorGroup.style.display = historical ? 'none' : '';
+    els.targetGroup.style.display = historical ? 'none' : '';
+    els.comptonWavelengthInfo.style.display = historical ? 'none' : '';
+    els.historicalControls.style.display = historical ? '' : 'none';
+    els.tracePanel.style.display = historical ? '' : 'none';
+    stopScan();
+    if (historical) drawTrace();
+
+    state.photons = [];
+    state.electrons = [];
+    state.targetHit = false;
+    state.lastEvent = null;
+    state.mc.running = false;
+    state.mc.rays = [];
+    els.btnBeam.innerText = 'Demeti Aç';
+
+    resetHistograms();
 }
 
 function toRad(deg) {
@@ -99,7 +350,7 @@ function updatePhysics() {
 
     // 4. Calculate Recoil Angle (Phi)
     // Formula from Compton theory: cot(phi) = (1 + hv/mc^2) * tan(theta/2)
-    const alpha = E_inc / 511; // E / m_e c^2
+    const alpha = E_inc / ME_C2; // E / m_e c^2
     const tanTheta2 = Math.tan(thetaRad / 2);
 
     let phi = 0;
@@ -113,6 +364,13 @@ function updatePhysics() {
     }
 
     state.phi = phi;
+
+    // 5. Bound-electron effects at the detector angle
+    const material = MATERIALS[state.material];
+    const sigma = materialCrossSections(Math.cos(thetaRad), state.lambda, material);
+    const total = sigma.coherent + sigma.incoherent;
+    els.rayleighShare.innerText = (total > 0 ? 100 * sigma.coherent / total : 0).toFixed(1) + ' %';
+    els.dopplerWidth.innerText = dopplerWidth(state.lambda, state.theta, material).toFixed(2) + ' pm';
 }
 
 function firePhoton() {
@@ -134,9 +392,21 @@ function firePhoton() {
 function loop() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    if (state.mode === 'historical') {
+        updateScan();
+        drawHistorical();
+        requestAnimationFrame(loop);
+        return;
+    }
+
     drawBackgroundElements();
-    updateEntities();
-    drawEntities();
+    if (state.mode === 'beam') {
+        updateBeam();
+        drawBeam();
+    } else {
+        updateEntities();
+        drawEntities();
+    }
 
     requestAnimationFrame(loop);
 }
@@ -212,6 +482,17 @@ function drawBackgroundElements() {
     // Position label slightly further out
     ctx.fillText("Dedektör", GEO.centerX + dx * 1.2, GEO.centerY + dy * 1.2 + 4);
 
+    // Detector acceptance window (beam mode)
+    if (state.mode === 'beam') {
+        const w = toRad(state.mc.window);
+        ctx.fillStyle = 'rgba(56, 189, 248, 0.08)';
+        ctx.beginPath();
+        ctx.moveTo(GEO.centerX, GEO.centerY);
+        ctx.arc(GEO.centerX, GEO.centerY, r, thetaRad - w, thetaRad + w);
+        ctx.closePath();
+        ctx.fill();
+    }
+
     // Theta Angle Arc
     if (state.theta > 5) {
         ctx.strokeStyle = '#38bdf8';
@@ -313,9 +594,12 @@ function scatter(incidentPhoton) {
     const thetaRad = toRad(state.theta);
     const speed = 3;
 
-    // Calculate new wavelength
-    const shift = LAMBDA_C * (1 - Math.cos(thetaRad));
-    const newLambda = incidentPhoton.lambda + shift;
+    // Calculate new wavelength; a bound target may scatter coherently or Doppler-shift the line
+    const material = MATERIALS[state.material];
+    const outcome = material.shells.length > 0
+        ? sampleBoundOutcome(Math.cos(thetaRad), incidentPhoton.lambda, material)
+        : { coherent: false, lambdaPrime: incidentPhoton.lambda + LAMBDA_C * (1 - Math.cos(thetaRad)) };
+    const newLambda = outcome.lambdaPrime;
 
     // Animation Continuity:
     // To ensure "One stream" look, the Scattered photon must emerge exactly as Incident disappears.
@@ -340,10 +624,26 @@ function scatter(incidentPhoton) {
         dead: false
     });
 
+    // Rayleigh: the whole atom takes the recoil and the electron stays in place
+    if (outcome.coherent) {
+        state.targetHit = false;
+        state.lastEvent = computeEvent(incidentPhoton.lambda, state.theta, newLambda);
+        state.lastEvent.coherent = true;
+        updateBalanceTable(state.lastEvent);
+        drawMomentumDiagram(state.lastEvent);
+        return;
+    }
+
     // 2. Create Recoil Electron
-    // Goes UP (-y), angle -phi
-    const phiRad = state.phi;
-    const eSpeed = 3;
+    // Goes UP (-y), along the momentum that closes the triangle
+    const event = computeEvent(incidentPhoton.lambda, state.theta, newLambda);
+    event.bound = material.shells.length > 0;
+    state.lastEvent = event;
+    updateBalanceTable(event);
+    drawMomentumDiagram(event);
+
+    const phiRad = event.phi;
+    const eSpeed = 1 + 4 * event.beta; // Visual, grows with the real recoil speed
 
     // Recoil
     state.electrons.push({
@@ -362,6 +662,7 @@ function drawEntities() {
     if (!state.targetHit) {
         drawParticle(GEO.centerX, GEO.centerY, '#f43f5e', 8);
     }
+    drawAtomOutline();
 
     // Moving Electrons
     state.electrons.forEach(e => {
@@ -374,6 +675,24 @@ function drawEntities() {
     });
 }
 
+// Bound targets: faint atom shell around the target electron
+function drawAtomOutline() {
+    const material = MATERIALS[state.material];
+    if (material.shells.length === 0) return;
+
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.arc(GEO.centerX, GEO.centerY, 22, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '11px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText(material.symbol, GEO.centerX, GEO.centerY - 28);
+}
+
 function drawParticle(x, y, color, r) {
     ctx.fillStyle = color;
     ctx.beginPath();
@@ -472,4 +791,940 @@ function mapRange(value, inMin, inMax, outMin, outMax) {
     return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
 }
 
+// --- Conservation Check ---
+
+/**
+ * Full kinematics of one scatter. Momenta are in keV/c as canvas vectors
+ * (x along the beam, y down). The two balances are checked independently:
+ * the momentum the atom must take up, p − p', gives the electron energy for
+ * the energy balance, while the electron itself gets K = E − E' and the
+ * recoil angle cot φ = (1 + E/mc²)·tan(θ/2), and its momentum closes the
+ * momentum balance.
+ * lambdaPrime defaults to the free-electron line; a Doppler-shifted value from
+ * a bound electron leaves residuals equal to what the atom absorbed.
+ */
+function computeEvent(lambda, thetaDeg, lambdaPrime) {
+    const thetaRad = toRad(thetaDeg);
+    if (lambdaPrime === undefined) lambdaPrime = lambda + LAMBDA_C * (1 - Math.cos(thetaRad));
+    const E = HC / lambda;
+    const Ep = HC / lambdaPrime;
+
+    const pIn = { x: E, y: 0 };
+    const pOut = { x: Ep * Math.cos(thetaRad), y: Ep * Math.sin(thetaRad) };
+    const transfer = { x: pIn.x - pOut.x, y: pIn.y - pOut.y };
+    const transferGamma = Math.sqrt(1 + Math.pow(Math.hypot(transfer.x, transfer.y) / ME_C2, 2));
+
+    // Electron from its kinetic energy and the Compton recoil angle; it leaves on the far side from p'
+    const K = E - Ep;
+    const pEmag = Math.sqrt(Math.max(0, K * K + 2 * K * ME_C2));
+    const phi = Math.atan2(1, (1 + E / ME_C2) * Math.tan(thetaRad / 2));
+    const pE = { x: pEmag * Math.cos(phi), y: -pEmag * Math.sin(phi) };
+
+    const gamma = 1 + K / ME_C2;
+    const beta = Math.sqrt(1 - 1 / (gamma * gamma));
+
+    return {
+        E: E,
+        Ep: Ep,
+        pIn: pIn,
+        pOut: pOut,
+        pE: pE,
+        pEmag: pEmag,
+        transfer: transfer,
+        gamma: gamma,
+        beta: beta,
+        K: K,
+        phi: phi,
+        energyResidual: (E + ME_C2) - (Ep + transferGamma * ME_C2),
+        momentumResidual: Math.hypot(pIn.x - pOut.x - pE.x, pIn.y - pOut.y - pE.y)
+    };
+}
+
+function updateBalanceTable(ev) {
+    els.balIn.innerText = `${ev.E.toFixed(3)} keV, ${ev.E.toFixed(3)} keV/c`;
+    els.balOut.innerText = `${ev.Ep.toFixed(3)} keV, ${ev.Ep.toFixed(3)} keV/c`;
+    els.balPe.innerText = `${ev.pEmag.toFixed(3)} keV/c @ ${toDeg(ev.phi).toFixed(1)}°`;
+    els.balGamma.innerText = `${ev.gamma.toFixed(6)}, ${ev.beta.toFixed(4)}`;
+    els.balKe.innerText = ev.K.toFixed(3) + ' keV';
+    els.balDe.innerText = ev.energyResidual.toExponential(2) + ' keV';
+    els.balDp.innerText = ev.momentumResidual.toExponential(2) + ' keV/c';
+
+    if (ev.coherent) {
+        els.balPe.innerText = `${Math.hypot(ev.transfer.x, ev.transfer.y).toFixed(3)} keV/c (atom)`;
+        els.balGamma.innerText = '--';
+        els.balKe.innerText = '--';
+        els.balDe.innerText = '--';
+        els.balDp.innerText = '--';
+        els.balCheck.innerText = 'Koherent (Rayleigh) saçılma: foton enerjisi değişmez, geri tepme momentumunu atomun tamamı alır.';
+        return;
+    }
+
+    // Tolerance well above float rounding of the ~511 keV terms
+    const ok = Math.abs(ev.energyResidual) < 1e-6 && ev.momentumResidual < 1e-6;
+    if (ok) {
+        els.balCheck.innerText = '✓ Enerji ve momentum korunuyor (K = E − E\' = ' + ev.K.toFixed(3) + ' keV, φ = ' + toDeg(ev.phi).toFixed(1) + '°)';
+    } else if (ev.bound) {
+        els.balCheck.innerText = 'Bağlı elektron: serbest elektron dengesinden sapma ' + ev.energyResidual.toFixed(3) +
+            ' keV. Fark, elektronun başlangıç momentumu (Doppler) ve bağlanma enerjisiyle atomdan gelir.';
+    } else {
+        els.balCheck.innerText = '✗ Korunum sağlanmıyor';
+    }
+}
+
+// Momentum triangle p = p' + pₑ; p' points down as on the main canvas
+function drawMomentumDiagram(ev) {
+    const w = momentumCanvas.width;
+    const h = momentumCanvas.height;
+    momentumCtx.clearRect(0, 0, w, h);
+
+    const ox = w / 2;
+    const oy = 25;
+    const scale = (w / 2 - 20) / ev.E; // incident momentum spans half the width
+
+    momentumCtx.fillStyle = '#94a3b8';
+    momentumCtx.font = '10px Inter';
+    momentumCtx.textAlign = 'left';
+    momentumCtx.fillText("keV/c", 5, 12);
+
+    const tipIn = { x: ox + ev.pIn.x * scale, y: oy + ev.pIn.y * scale };
+    const tipOut = { x: ox + ev.pOut.x * scale, y: oy + ev.pOut.y * scale };
+
+    drawArrow(momentumCtx, ox, oy, tipIn.x, tipIn.y, '#facc15', 'p');
+    drawArrow(momentumCtx, ox, oy, tipOut.x, tipOut.y, '#38bdf8', "p'");
+    // In coherent scattering the whole atom takes up the transfer
+    const recoil = ev.coherent ? ev.transfer : ev.pE;
+    drawArrow(momentumCtx, tipOut.x, tipOut.y, tipOut.x + recoil.x * scale, tipOut.y + recoil.y * scale, '#f43f5e', 'pₑ');
+}
+
+function drawArrow(c, x1, y1, x2, y2, color, label) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const len = Math.hypot(x2 - x1, y2 - y1);
+
+    c.strokeStyle = color;
+    c.fillStyle = color;
+    c.lineWidth = 2;
+    c.beginPath();
+    c.moveTo(x1, y1);
+    c.lineTo(x2, y2);
+    c.stroke();
+
+    if (len > 6) {
+        c.beginPath();
+        c.moveTo(x2, y2);
+        c.lineTo(x2 - 8 * Math.cos(angle - 0.4), y2 - 8 * Math.sin(angle - 0.4));
+        c.lineTo(x2 - 8 * Math.cos(angle + 0.4), y2 - 8 * Math.sin(angle + 0.4));
+        c.closePath();
+        c.fill();
+    }
+
+    c.font = '12px Inter';
+    c.textAlign = 'center';
+    c.fillText(label, (x1 + x2) / 2 + 10 * Math.sin(angle), (y1 + y2) / 2 - 10 * Math.cos(angle) + 4);
+}
+
+// --- Klein–Nishina Monte Carlo ---
+
+/**
+ * Klein–Nishina differential cross-section dσ/dΩ in units of r_e²/2.
+ * alpha = E / m_e c². Reduces to Thomson (1 + cos²θ) for alpha → 0.
+ */
+function kleinNishina(cosT, alpha) {
+    const P = 1 / (1 + alpha * (1 - cosT));
+    return P * P * (P + 1 / P - (1 - cosT * cosT));
+}
+
+// Rejection sampling of cosθ; the cross-section peaks at 2 in the forward direction
+function sampleScatteringCos(alpha) {
+    for (;;) {
+        const cosT = 2 * Math.random() - 1;
+        if (Math.random() * 2 < kleinNishina(cosT, alpha)) return cosT;
+    }
+}
+
+// Fraction of all scattered photons landing in [thetaA, thetaB] (degrees)
+function kleinNishinaFraction(thetaA, thetaB, alpha) {
+    const integrate = (c0, c1) => {
+        const n = 16;
+        const h = (c1 - c0) / n;
+        let sum = kleinNishina(c0, alpha) + kleinNishina(c1, alpha);
+        for (let i = 1; i < n; i++) {
+            sum += (i % 2 ? 4 : 2) * kleinNishina(c0 + i * h, alpha);
+        }
+        return sum * h / 3;
+    };
+    const total = integrate(-1, 1);
+    return integrate(Math.cos(toRad(thetaB)), Math.cos(toRad(thetaA))) / total;
+}
+
+// Histogram ranges span the full possible shift, 0 to 2λc, plus room for Doppler tails
+function getSpectrumRange(axis) {
+    const pad = spectrumPadding();
+    const lMin = state.lambda - pad;
+    const lMax = state.lambda + 2 * LAMBDA_C + pad;
+    if (axis === 'energy') return { min: HC / lMax, max: HC / lMin };
+    return { min: lMin, max: lMax };
+}
+
+// Two and a half Doppler widths at backscatter; bound targets also keep the Rayleigh line off the edge
+function spectrumPadding() {
+    const material = MATERIALS[state.material];
+    if (material.shells.length === 0) return 0;
+    return Math.max(0.1 * LAMBDA_C, 2.5 * dopplerWidth(state.lambda, 180, material));
+}
+
+function binIndex(value, range, bins) {
+    const i = Math.floor((value - range.min) / (range.max - range.min) * bins);
+    return Math.min(bins - 1, Math.max(0, i));
+}
+
+function resetSpectrum() {
+    const mc = state.mc;
+    mc.lambdaCounts.fill(0);
+    mc.energyCounts.fill(0);
+    mc.detected = 0;
+    mc.detectedCoherent = 0;
+    mc.detectedLambdaSum = 0;
+    updateBeamReadouts();
+    drawSpectrum();
+}
+
+function resetHistograms() {
+    state.mc.total = 0;
+    state.mc.angleCounts.fill(0);
+    resetSpectrum();
+    drawAngular();
+}
+
+function updateBeam() {
+    const mc = state.mc;
+
+    mc.rays.forEach(r => {
+        r.x += r.vx;
+        r.y += r.vy;
+        if (r.x < 0 || r.x > canvas.width || r.y < 0 || r.y > canvas.height) r.dead = true;
+    });
+    mc.rays = mc.rays.filter(r => !r.dead);
+
+    if (!mc.running) return;
+
+    const lambdaRange = getSpectrumRange('lambda');
+    const energyRange = getSpectrumRange('energy');
+
+    for (let i = 0; i < mc.rate; i++) {
+        const event = sampleScatterEvent();
+        const cosT = event.cosT;
+        const thetaDeg = toDeg(Math.acos(cosT));
+        const lambdaPrime = event.lambdaPrime;
+
+        mc.total++;
+        mc.angleCounts[Math.min(MC.angleBins - 1, Math.floor(thetaDeg / (180 / MC.angleBins)))]++;
+
+        if (Math.abs(thetaDeg - state.theta) <= mc.window) {
+            mc.detected++;
+            if (event.coherent) mc.detectedCoherent++;
+            mc.detectedLambdaSum += lambdaPrime;
+            mc.lambdaCounts[binIndex(lambdaPrime, lambdaRange, MC.spectrumBins)]++;
+            mc.energyCounts[binIndex(HC / lambdaPrime, energyRange, MC.spectrumBins)]++;
+        }
+
+        // Draw a subset; the azimuth is folded into the drawing plane (up or down)
+        if (i < MC.raysPerFrame && mc.rays.length < MC.maxRays) {
+            const side = Math.random() < 0.5 ? 1 : -1;
+            const a = side * Math.acos(cosT);
+            mc.rays.push({
+                x: GEO.centerX,
+                y: GEO.centerY,
+                vx: Math.cos(a) * MC.raySpeed,
+                vy: Math.sin(a) * MC.raySpeed,
+                lambda: lambdaPrime
+            });
+        }
+    }
+
+    updateBeamReadouts();
+    drawAngular();
+    drawSpectrum();
+}
+
+function updateBeamReadouts() {
+    const mc = state.mc;
+    els.mcTotal.innerText = mc.total;
+    els.mcDetected.innerText = mc.detected;
+    els.mcCoherent.innerText = mc.detectedCoherent;
+    els.mcMean.innerText = mc.detected > 0 ? (mc.detectedLambdaSum / mc.detected).toFixed(2) + ' pm' : '-- pm';
+}
+
+function drawBeam() {
+    // Incident beam
+    if (state.mc.running) {
+        const hue = mapRange(state.lambda, 10, 250, 260, 0);
+        ctx.strokeStyle = `hsla(${hue}, 100%, 70%, 0.6)`;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(100, GEO.centerY);
+        ctx.lineTo(GEO.centerX, GEO.centerY);
+        ctx.stroke();
+    }
+
+    // Target
+    drawParticle(GEO.centerX, GEO.centerY, '#f43f5e', 8);
+
+    state.mc.rays.forEach(r => {
+        const hue = mapRange(r.lambda, 10, 250, 260, 0);
+        ctx.fillStyle = `hsl(${hue}, 100%, 70%)`;
+        ctx.beginPath();
+        ctx.arc(r.x, r.y, 2, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+// Shared axes for the two histogram canvases; returns the plot box
+function drawPlotFrame(pctx, cvs, xLabel, yLabel, xMin, xMax, xTicks) {
+    const pad = { left: 45, right: 10, top: 12, bottom: 30 };
+    const box = {
+        x: pad.left,
+        y: pad.top,
+        w: cvs.width - pad.left - pad.right,
+        h: cvs.height - pad.top - pad.bottom
+    };
+
+    pctx.clearRect(0, 0, cvs.width, cvs.height);
+    pctx.strokeStyle = '#475569';
+    pctx.lineWidth = 1;
+    pctx.beginPath();
+    pctx.moveTo(box.x, box.y);
+    pctx.lineTo(box.x, box.y + box.h);
+    pctx.lineTo(box.x + box.w, box.y + box.h);
+    pctx.stroke();
+
+    pctx.fillStyle = '#94a3b8';
+    pctx.font = '10px "Roboto Mono"';
+    pctx.textAlign = 'center';
+    xTicks.forEach(t => {
+        const x = box.x + (t.value - xMin) / (xMax - xMin) * box.w;
+        pctx.fillText(t.label, x, box.y + box.h + 12);
+    });
+    pctx.fillText(xLabel, box.x + box.w / 2, cvs.height - 4);
+
+    pctx.save();
+    pctx.translate(12, box.y + box.h / 2);
+    pctx.rotate(-Math.PI / 2);
+    pctx.fillText(yLabel, 0, 0);
+    pctx.restore();
+
+    return box;
+}
+
+function drawAngular() {
+    const mc = state.mc;
+    const ticks = [0, 45, 90, 135, 180].map(v => ({ value: v, label: v + '°' }));
+    const box = drawPlotFrame(angularCtx, angularCanvas, 'θ', 'Sayım', 0, 180, ticks);
+
+    const alpha = HC / state.lambda / ME_C2;
+    const bound = MATERIALS[state.material].shells.length > 0;
+    const binWidth = 180 / MC.angleBins;
+    const expected = [];
+    const thomson = [];
+    for (let i = 0; i < MC.angleBins; i++) {
+        expected.push(mc.total * (bound
+            ? tableFraction(i * binWidth, (i + 1) * binWidth)
+            : kleinNishinaFraction(i * binWidth, (i + 1) * binWidth, alpha)));
+        thomson.push(mc.total * kleinNishinaFraction(i * binWidth, (i + 1) * binWidth, 0));
+    }
+
+    const yMax = Math.max(1, ...mc.angleCounts, ...expected, ...thomson) * 1.1;
+    const barW = box.w / MC.angleBins;
+    const toY = v => box.y + box.h - v / yMax * box.h;
+
+    angularCtx.fillStyle = 'rgba(56, 189, 248, 0.5)';
+    mc.angleCounts.forEach((c, i) => {
+        angularCtx.fillRect(box.x + i * barW + 1, toY(c), barW - 2, box.y + box.h - toY(c));
+    });
+
+    // Detector window
+    const wx0 = box.x + (state.theta - mc.window) / 180 * box.w;
+    const wx1 = box.x + (state.theta + mc.window) / 180 * box.w;
+    angularCtx.fillStyle = 'rgba(250, 204, 21, 0.15)';
+    angularCtx.fillRect(wx0, box.y, wx1 - wx0, box.h);
+
+    if (mc.total === 0) return;
+
+    const drawCurve = (values, color, dash) => {
+        angularCtx.strokeStyle = color;
+        angularCtx.lineWidth = 2;
+        angularCtx.setLineDash(dash);
+        angularCtx.beginPath();
+        values.forEach((v, i) => {
+            const x = box.x + (i + 0.5) * barW;
+            if (i === 0) angularCtx.moveTo(x, toY(v));
+            else angularCtx.lineTo(x, toY(v));
+        });
+        angularCtx.stroke();
+        angularCtx.setLineDash([]);
+    };
+    drawCurve(thomson, 'rgba(148, 163, 184, 0.8)', [4, 4]);
+    drawCurve(expected, '#f43f5e', []);
+
+    angularCtx.font = '10px Inter';
+    angularCtx.textAlign = 'right';
+    angularCtx.fillStyle = '#f43f5e';
+    angularCtx.fillText(bound ? `${MATERIALS[state.material].name} (Compton + Rayleigh)` : 'Klein–Nishina', box.x + box.w, box.y + 10);
+    angularCtx.fillStyle = '#94a3b8';
+    angularCtx.fillText('Thomson (düşük enerji)', box.x + box.w, box.y + 22);
+}
+
+function drawSpectrum() {
+    const mc = state.mc;
+    const axis = mc.axis;
+    const range = getSpectrumRange(axis);
+    const counts = axis === 'energy' ? mc.energyCounts : mc.lambdaCounts;
+    const unit = axis === 'energy' ? 'keV' : 'pm';
+    const digits = range.max - range.min < 1 ? 3 : range.max - range.min < 10 ? 2 : 1;
+
+    const ticks = [0, 0.5, 1].map(f => {
+        const v = range.min + f * (range.max - range.min);
+        return { value: v, label: v.toFixed(digits) };
+    });
+    const xLabel = axis === 'energy' ? `E' (${unit})` : `λ' (${unit})`;
+    const box = drawPlotFrame(spectrumCtx, spectrumCanvas, xLabel, 'Sayım', range.min, range.max, ticks);
+
+    const yMax = Math.max(1, ...counts) * 1.1;
+    const barW = box.w / MC.spectrumBins;
+    counts.forEach((c, i) => {
+        const h = c / yMax * box.h;
+        spectrumCtx.fillStyle = 'rgba(250, 204, 21, 0.7)';
+        spectrumCtx.fillRect(box.x + i * barW, box.y + box.h - h, Math.max(1, barW - 1), h);
+    });
+
+    // Compton prediction at the detector center, and the unshifted line for bound targets
+    const markLine = (lambda, color) => {
+        const value = axis === 'energy' ? HC / lambda : lambda;
+        const x = box.x + (value - range.min) / (range.max - range.min) * box.w;
+        spectrumCtx.strokeStyle = color;
+        spectrumCtx.setLineDash([4, 3]);
+        spectrumCtx.beginPath();
+        spectrumCtx.moveTo(x, box.y);
+        spectrumCtx.lineTo(x, box.y + box.h);
+        spectrumCtx.stroke();
+        spectrumCtx.setLineDash([]);
+    };
+    markLine(state.lambda + LAMBDA_C * (1 - Math.cos(toRad(state.theta))), '#f43f5e');
+    if (MATERIALS[state.material].shells.length > 0) markLine(state.lambda, '#94a3b8');
+}
+
+// --- Bound Electrons ---
+
+// Momentum transfer q = 2k sin(θ/2) in atomic units
+function momentumTransfer(lambda, cosT) {
+    const k = 2 * Math.PI * BOHR / lambda;
+    return 2 * k * Math.sqrt((1 - cosT) / 2);
+}
+
+function shellFormFactor(shell, q) {
+    const x = q / (2 * shell.p0);
+    return shell.n / Math.pow(1 + x * x, 2);
+}
+
+/**
+ * Coherent (Rayleigh) and incoherent (Compton) dσ/dΩ per atom, in the same
+ * r_e²/2 units as kleinNishina. Coherent scattering goes as the squared atomic
+ * form factor (up to Z²); incoherent as Klein–Nishina times the number of
+ * electrons that are not held back by the form factor or by binding. A shell
+ * only scatters incoherently if the free-electron energy transfer exceeds B.
+ */
+function materialCrossSections(cosT, lambda, material) {
+    const alpha = HC / lambda / ME_C2;
+    const kn = kleinNishina(cosT, alpha);
+    if (material.shells.length === 0) return { coherent: 0, incoherent: kn, shells: [] };
+
+    const q = momentumTransfer(lambda, cosT);
+    const transfer = HC / lambda - HC / (lambda + LAMBDA_C * (1 - cosT));
+    let formFactor = 0;
+    let incoherent = 0;
+    const shells = material.shells.map(shell => {
+        const f = shellFormFactor(shell, q);
+        formFactor += f;
+        const weight = transfer > shell.B ? shell.n * (1 - Math.pow(f / shell.n, 2)) : 0;
+        incoherent += weight;
+        return weight;
+    });
+
+    return {
+        coherent: (1 + cosT * cosT) * formFactor * formFactor,
+        incoherent: kn * incoherent,
+        shells: shells // per-shell incoherent weights for picking the struck electron
+    };
+}
+
+// Compton profile sample: Cauchy proposal accepted with (1 + u²)⁻², p_z = u·p0
+function sampleProfileMomentum(p0) {
+    for (;;) {
+        const u = Math.tan(Math.PI * (Math.random() - 0.5));
+        if (Math.random() < 1 / Math.pow(1 + u * u, 2)) return u * p0;
+    }
+}
+
+/**
+ * Scattered wavelength off an electron moving with momentum p_z along the
+ * scattering vector (impulse approximation, λ ≈ λ'):
+ * λ' = λ_free + 2√(λ·λ_free) sin(θ/2) · p_z / mₑc.
+ */
+function dopplerLambda(lambda, cosT, pz) {
+    const free = lambda + LAMBDA_C * (1 - cosT);
+    return free + 2 * Math.sqrt(lambda * free) * Math.sqrt((1 - cosT) / 2) * pz * ALPHA_FS;
+}
+
+// Coherent or Doppler-broadened incoherent scatter at a fixed angle
+function sampleBoundOutcome(cosT, lambda, material) {
+    const sigma = materialCrossSections(cosT, lambda, material);
+    const total = sigma.coherent + sigma.incoherent;
+    if (sigma.incoherent === 0 || Math.random() * total < sigma.coherent) {
+        return { coherent: true, lambdaPrime: lambda };
+    }
+    return { coherent: false, lambdaPrime: sampleDopplerLine(cosT, lambda, material, sigma.shells) };
+}
+
+// Picks the struck shell by its incoherent weight, then its p_z from the profile
+function sampleDopplerLine(cosT, lambda, material, weights) {
+    const weightSum = weights.reduce((a, w) => a + w, 0);
+    let pick = Math.random() * weightSum;
+    let shell = material.shells[material.shells.length - 1];
+    for (let i = 0; i < material.shells.length; i++) {
+        pick -= weights[i];
+        if (pick < 0) {
+            shell = material.shells[i];
+            break;
+        }
+    }
+
+    // The photon must still hand over at least the binding energy
+    const E = HC / lambda;
+    for (let tries = 0; tries < 1000; tries++) {
+        const lambdaPrime = dopplerLambda(lambda, cosT, sampleProfileMomentum(shell.p0));
+        if (lambdaPrime > lambda && E - HC / lambdaPrime > shell.B) return lambdaPrime;
+    }
+    return lambda + LAMBDA_C * (1 - cosT);
+}
+
+/**
+ * Angular table for bound scatterers: per-bin coherent and incoherent
+ * probabilities on a 0.1° grid. The Rayleigh peak can be far narrower than
+ * the rejection sampler could handle at short wavelengths.
+ */
+function getScatterTable() {
+    const mc = state.mc;
+    if (mc.table && mc.table.lambda === state.lambda && mc.table.material === state.material) {
+        return mc.table;
+    }
+
+    const material = MATERIALS[state.material];
+    const n = SCATTER_TABLE_BINS;
+    const coherent = new Float64Array(n);
+    const incoherent = new Float64Array(n);
+    const cdf = new Float64Array(n);
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        const c0 = Math.cos(Math.PI * i / n);
+        const c1 = Math.cos(Math.PI * (i + 1) / n);
+        const sigma = materialCrossSections(Math.cos(Math.PI * (i + 0.5) / n), state.lambda, material);
+        coherent[i] = sigma.coherent * (c0 - c1);
+        incoherent[i] = sigma.incoherent * (c0 - c1);
+        sum += coherent[i] + incoherent[i];
+        cdf[i] = sum;
+    }
+    for (let i = 0; i < n; i++) {
+        coherent[i] /= sum;
+        incoherent[i] /= sum;
+        cdf[i] /= sum;
+    }
+
+    mc.table = { lambda: state.lambda, material: state.material, coherent, incoherent, cdf };
+    return mc.table;
+}
+
+// One beam event off the selected scatterer: {cosT, coherent, lambdaPrime}
+function sampleScatterEvent() {
+    const material = MATERIALS[state.material];
+    if (material.shells.length === 0) {
+        const cosT = sampleScatteringCos(HC / state.lambda / ME_C2);
+        return { cosT, coherent: false, lambdaPrime: state.lambda + LAMBDA_C * (1 - cosT) };
+    }
+
+    const table = getScatterTable();
+    const r = Math.random();
+    let lo = 0;
+    let hi = SCATTER_TABLE_BINS - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (table.cdf[mid] < r) lo = mid + 1;
+        else hi = mid;
+    }
+
+    // Uniform in cosθ within the bin, i.e. uniform over its solid angle
+    const c0 = Math.cos(Math.PI * lo / SCATTER_TABLE_BINS);
+    const c1 = Math.cos(Math.PI * (lo + 1) / SCATTER_TABLE_BINS);
+    const cosT = c0 + Math.random() * (c1 - c0);
+
+    const pCoherent = table.coherent[lo] / (table.coherent[lo] + table.incoherent[lo]);
+    const weights = materialCrossSections(cosT, state.lambda, material).shells;
+    if (Math.random() < pCoherent || weights.every(w => w === 0)) {
+        return { cosT, coherent: true, lambdaPrime: state.lambda };
+    }
+    return { cosT, coherent: false, lambdaPrime: sampleDopplerLine(cosT, state.lambda, material, weights) };
+}
+
+// Fraction of scattered photons in [thetaA, thetaB] (degrees) for a bound scatterer
+function tableFraction(thetaA, thetaB) {
+    const table = getScatterTable();
+    const i0 = Math.round(thetaA / 180 * SCATTER_TABLE_BINS);
+    const i1 = Math.round(thetaB / 180 * SCATTER_TABLE_BINS);
+    let sum = 0;
+    for (let i = i0; i < i1; i++) sum += table.coherent[i] + table.incoherent[i];
+    return sum;
+}
+
+/**
+ * Approximate FWHM of the Compton line at θ: the hydrogenic profile has a
+ * FWHM of 1.02·p0, averaged over the shells weighted by how often each is hit.
+ */
+function dopplerWidth(lambda, thetaDeg, material) {
+    const cosT = Math.cos(toRad(thetaDeg));
+    const sigma = materialCrossSections(cosT, lambda, material);
+    const weightSum = sigma.shells.reduce((a, w) => a + w, 0);
+    if (weightSum === 0) return 0;
+
+    const p = material.shells.reduce((a, shell, i) => a + shell.p0 * sigma.shells[i], 0) / weightSum;
+    return dopplerLambda(lambda, cosT, 1.02 * p / 2) - dopplerLambda(lambda, cosT, -1.02 * p / 2);
+}
+
+// --- Historical Experiment (Compton, 1923) ---
+
+function braggAngle(lambda) {
+    return toDeg(Math.asin(lambda / (2 * HIST.d)));
+}
+
+// Gaussian approximation for large means, Knuth's method otherwise
+function poisson(mean) {
+    if (mean > 30) {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(0, Math.round(mean + z * Math.sqrt(mean)));
+    }
+    const limit = Math.exp(-mean);
+    let k = 0;
+    let p = 1;
+    do {
+        k++;
+        p *= Math.random();
+    } while (p > limit);
+    return k - 1;
+}
+
+/**
+ * Scattered lines reaching the spectrometer at scattering angle phi: the
+ * unmodified line from tightly bound electrons and the Compton-shifted one.
+ * The unmodified share falls with angle as in Compton's graphite data.
+ */
+function getHistoricalLines(phi) {
+    const unshiftedShare = 0.3 + 0.6 * Math.exp(-Math.pow(phi / 60, 2));
+    return [
+        { lambda: HIST.lambda, weight: unshiftedShare },
+        { lambda: HIST.lambda + LAMBDA_C * (1 - Math.cos(toRad(phi))), weight: 1 - unshiftedShare }
+    ];
+}
+
+function expectedCounts(crystalAngle, phi) {
+    let counts = HIST.background;
+    getHistoricalLines(phi).forEach(line => {
+        const d = (crystalAngle - braggAngle(line.lambda)) / HIST.sigma;
+        counts += HIST.peakCounts * line.weight * Math.exp(-0.5 * d * d);
+    });
+    return counts;
+}
+
+function startScan() {
+    const h = state.hist;
+    h.scanning = true;
+    h.frame = 0;
+    h.points = [];
+    els.btnScan.innerText = 'Taramayı Durdur';
+    els.histAngle.disabled = true;
+    drawTrace();
+}
+
+function stopScan() {
+    const h = state.hist;
+    h.scanning = false;
+    els.btnScan.innerText = 'Taramayı Başlat';
+    els.histAngle.disabled = false;
+}
+
+function clearTrace() {
+    const h = state.hist;
+    stopScan();
+    h.points = [];
+    h.markers = [null, null];
+    h.nextMarker = 0;
+    updateMeasurement();
+    drawTrace();
+}
+
+function updateScan() {
+    const h = state.hist;
+    if (!h.scanning) return;
+
+    h.frame++;
+    if (h.frame % HIST.framesPerStep !== 0) return;
+
+    const angle = HIST.scanMin + h.points.length * HIST.step;
+    if (angle > HIST.scanMax + 1e-9) {
+        stopScan();
+        return;
+    }
+
+    h.points.push({ angle: angle, counts: poisson(expectedCounts(angle, h.angle)) });
+    drawTrace();
+}
+
+function getCrystalAngle() {
+    const h = state.hist;
+    if (h.points.length === 0) return HIST.scanMin;
+    return h.points[h.points.length - 1].angle;
+}
+
+function updateMeasurement() {
+    const h = state.hist;
+    const [m1, m2] = h.markers;
+    els.marker1.innerText = m1 !== null ? m1.toFixed(3) + '°' : '--';
+    els.marker2.innerText = m2 !== null ? m2.toFixed(3) + '°' : '--';
+
+    const result = computeMeasurement();
+    els.histShift.innerText = result ? result.dLambda.toFixed(2) + ' pm' : '--';
+    els.histLambdaC.innerText = result && result.lambdaC !== null ? result.lambdaC.toFixed(2) + ' pm' : '--';
+}
+
+// Wavelength shift from the two marked peaks; λc needs a nonzero scattering angle
+function computeMeasurement() {
+    const h = state.hist;
+    const [m1, m2] = h.markers;
+    if (m1 === null || m2 === null) return null;
+
+    const lo = Math.min(m1, m2);
+    const hi = Math.max(m1, m2);
+    const dLambda = 2 * HIST.d * (Math.sin(toRad(hi)) - Math.sin(toRad(lo)));
+    const oneMinusCos = 1 - Math.cos(toRad(h.angle));
+    return {
+        phi: h.angle,
+        dTheta: hi - lo,
+        dLambda: dLambda,
+        lambdaC: oneMinusCos > 1e-6 ? dLambda / oneMinusCos : null
+    };
+}
+
+function saveResult() {
+    const result = computeMeasurement();
+    if (!result) {
+        alert("Önce grafikte iki tepeyi işaretleyin.");
+        return;
+    }
+    state.hist.results.push(result);
+    updateResults();
+}
+
+// Results table and the mean λc over the rows that have one
+function updateResults() {
+    els.histResults.innerHTML = '';
+    state.hist.results.forEach((result, i) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${result.phi}°</td>
+            <td>${result.dTheta.toFixed(3)}</td>
+            <td>${result.dLambda.toFixed(2)}</td>
+            <td>${result.lambdaC !== null ? result.lambdaC.toFixed(2) : '--'}</td>
+            <td><button class="row-delete" data-index="${i}" title="Sil">✕</button></td>
+        `;
+        els.histResults.appendChild(row);
+    });
+
+    const valid = state.hist.results.filter(r => r.lambdaC !== null);
+    if (valid.length > 0) {
+        const mean = valid.reduce((a, r) => a + r.lambdaC, 0) / valid.length;
+        els.histMean.innerText = mean.toFixed(2) + ' pm';
+    } else {
+        els.histMean.innerText = '--';
+    }
+}
+
+function getTraceBox() {
+    const pad = { left: 50, right: 15, top: 15, bottom: 35 };
+    return {
+        x: pad.left,
+        y: pad.top,
+        w: traceCanvas.width - pad.left - pad.right,
+        h: traceCanvas.height - pad.top - pad.bottom
+    };
+}
+
+// Crystal angle under the mouse, or null outside the plot
+function traceAngleAt(e) {
+    const rect = traceCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * traceCanvas.width / rect.width;
+    const box = getTraceBox();
+    if (x < box.x || x > box.x + box.w) return null;
+    return HIST.scanMin + (x - box.x) / box.w * (HIST.scanMax - HIST.scanMin);
+}
+
+function drawTrace() {
+    const h = state.hist;
+    const box = getTraceBox();
+    const span = HIST.scanMax - HIST.scanMin;
+    const toX = a => box.x + (a - HIST.scanMin) / span * box.w;
+
+    traceCtx.clearRect(0, 0, traceCanvas.width, traceCanvas.height);
+
+    traceCtx.strokeStyle = '#475569';
+    traceCtx.lineWidth = 1;
+    traceCtx.beginPath();
+    traceCtx.moveTo(box.x, box.y);
+    traceCtx.lineTo(box.x, box.y + box.h);
+    traceCtx.lineTo(box.x + box.w, box.y + box.h);
+    traceCtx.stroke();
+
+    traceCtx.fillStyle = '#94a3b8';
+    traceCtx.font = '10px "Roboto Mono"';
+    traceCtx.textAlign = 'center';
+    for (let a = 6.5; a <= HIST.scanMax + 1e-9; a += 0.1) {
+        traceCtx.fillText(a.toFixed(1) + '°', toX(a), box.y + box.h + 12);
+    }
+    traceCtx.fillText('Kristal açısı θ', box.x + box.w / 2, traceCanvas.height - 4);
+    traceCtx.save();
+    traceCtx.translate(14, box.y + box.h / 2);
+    traceCtx.rotate(-Math.PI / 2);
+    traceCtx.fillText('Sayım', 0, 0);
+    traceCtx.restore();
+
+    const yMax = Math.max(HIST.peakCounts * 0.6, ...h.points.map(p => p.counts)) * 1.1;
+    const toY = c => box.y + box.h - c / yMax * box.h;
+
+    if (h.points.length > 1) {
+        traceCtx.strokeStyle = '#38bdf8';
+        traceCtx.lineWidth = 1.5;
+        traceCtx.beginPath();
+        h.points.forEach((p, i) => {
+            if (i === 0) traceCtx.moveTo(toX(p.angle), toY(p.counts));
+            else traceCtx.lineTo(toX(p.angle), toY(p.counts));
+        });
+        traceCtx.stroke();
+    }
+
+    const colors = ['#facc15', '#f43f5e'];
+    h.markers.forEach((m, i) => {
+        if (m === null) return;
+        traceCtx.strokeStyle = colors[i];
+        traceCtx.setLineDash([4, 3]);
+        traceCtx.beginPath();
+        traceCtx.moveTo(toX(m), box.y);
+        traceCtx.lineTo(toX(m), box.y + box.h);
+        traceCtx.stroke();
+        traceCtx.setLineDash([]);
+        traceCtx.fillStyle = colors[i];
+        traceCtx.textAlign = 'left';
+        traceCtx.fillText(`θ${i + 1}`, toX(m) + 3, box.y + 10);
+    });
+}
+
+function drawHistorical() {
+    const h = state.hist;
+    const cx = GEO.centerX - 100;
+    const cy = GEO.centerY - 80;
+    const phiRad = toRad(h.angle);
+    const armLength = 220;
+
+    // X-ray tube
+    ctx.fillStyle = '#334155';
+    ctx.fillRect(0, cy - 20, 100, 40);
+    ctx.fillStyle = '#475569';
+    ctx.fillRect(0, cy - 15, 95, 30);
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '12px Inter';
+    ctx.textAlign = 'left';
+    ctx.fillText("Mo X-ışını Tüpü (Kα)", 10, cy - 25);
+
+    // Primary beam
+    ctx.strokeStyle = 'rgba(56, 189, 248, 0.6)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(100, cy);
+    ctx.lineTo(cx, cy);
+    ctx.stroke();
+
+    // Graphite scatterer
+    ctx.fillStyle = '#1f2937';
+    ctx.strokeStyle = '#64748b';
+    ctx.lineWidth = 1;
+    ctx.fillRect(cx - 12, cy - 12, 24, 24);
+    ctx.strokeRect(cx - 12, cy - 12, 24, 24);
+    ctx.fillStyle = '#94a3b8';
+    ctx.textAlign = 'center';
+    ctx.fillText("Grafit", cx, cy - 20);
+
+    // Spectrometer arm at φ (slits along the scattered ray)
+    const crystalX = cx + Math.cos(phiRad) * armLength;
+    const crystalY = cy + Math.sin(phiRad) * armLength;
+    ctx.strokeStyle = 'rgba(56, 189, 248, 0.35)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(crystalX, crystalY);
+    ctx.stroke();
+
+    if (h.angle > 0) {
+        ctx.strokeStyle = '#38bdf8';
+        ctx.beginPath();
+        ctx.arc(cx, cy, 45, 0, phiRad);
+        ctx.stroke();
+        ctx.fillStyle = '#38bdf8';
+        ctx.fillText(`φ = ${h.angle}°`, cx + Math.cos(phiRad / 2) * 65, cy + Math.sin(phiRad / 2) * 65);
+    }
+
+    // Calcite crystal; the Bragg angle is drawn 5× larger so the rotation is visible
+    const visualScale = 5;
+    const bragg = toRad(getCrystalAngle()) * visualScale;
+    ctx.save();
+    ctx.translate(crystalX, crystalY);
+    ctx.rotate(phiRad + bragg);
+    ctx.fillStyle = 'rgba(226, 232, 240, 0.8)';
+    ctx.fillRect(-25, -4, 50, 8);
+    ctx.restore();
+    ctx.fillStyle = '#e2e8f0';
+    ctx.fillText("Kalsit Kristali", crystalX, crystalY - 18);
+
+    // Ionization chamber on the reflected ray (2θ from the arm)
+    const reflect = phiRad + 2 * bragg;
+    const chamberX = crystalX + Math.cos(reflect) * 110;
+    const chamberY = crystalY + Math.sin(reflect) * 110;
+    ctx.strokeStyle = 'rgba(250, 204, 21, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(crystalX, crystalY);
+    ctx.lineTo(chamberX, chamberY);
+    ctx.stroke();
+
+    ctx.save();
+    ctx.translate(chamberX, chamberY);
+    ctx.rotate(reflect);
+    ctx.fillStyle = '#1e293b';
+    ctx.strokeStyle = '#facc15';
+    ctx.lineWidth = 2;
+    ctx.fillRect(0, -15, 40, 30);
+    ctx.strokeRect(0, -15, 40, 30);
+    ctx.restore();
+    ctx.fillStyle = '#facc15';
+    ctx.fillText("İyonizasyon Odası", chamberX, chamberY + 35);
+
+    ctx.fillStyle = '#94a3b8';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Kristal açısı: ${getCrystalAngle().toFixed(3)}°`, 20, canvas.height - 20);
+}
+
 init();
@@ -1,13 +1,81 @@
 // Physics Constants and State
+const MASK_CELLS = 200;
+const MASK_CELL_WIDTH = 0.01; // mm, so the editable aperture spans 2 mm
+const MAX_SUPERSAMPLE = 64; // samples per pixel column for narrow grating peaks
+const POLYCHROME_SUPERSAMPLE = 2; // per line when several lines are summed; grating peaks are still injected
+const FFT_SIZE = 256; // 2D far-field grid
+const APERTURE_SAMPLES = 32; // samples across the aperture size D (8× zero padding)
+const FARFIELD_VIEW = 128; // central part of the FFT grid shown on the canvas
+const FRESNEL_MAX_SLITS = 10; // larger gratings fall back to the far-field formula
+const FRESNEL_SUPERSAMPLE = 4; // samples per pixel column in the near field, where every sample costs 2 Fresnel integrals per slit
+const WHITE_LINES = { min: 400, max: 700, step: 20 }; // nm, white light as equal-weight lines
+const SODIUM_LINES = [{ lambda: 589.0, weight: 2 }, { lambda: 589.6, weight: 1 }]; // D2 is twice as bright as D1
+const MAX_CUSTOM_LINES = 12;
+const PHOTON_BINS = 120; // histogram bins across the screen
+const PHOTON_EXPOSURE = 0.7; // pattern brightness per hit, 1 − e^(−0.7 n)
+const CURSOR_COLORS = ['#38bdf8', '#f472b6']; // A, B
+const SNAP_DISTANCE = 12; // px
+const EXERCISE_TOLERANCE = 0.05; // relative
+
 const state = {
-    mode: 'single', // 'single' or 'double'
+    mode: 'single', // 'single', 'double', 'grating' or 'custom'
     wavelength: 500, // nm
+    source: 'mono', // 'mono', 'white', 'sodium' or 'custom'
+    customLines: [{ lambda: 450, weight: 1 }, { lambda: 550, weight: 1 }, { lambda: 650, weight: 1 }],
     slitWidth: 0.10, // mm (a)
-    slitSeparation: 0.25, // mm (d) - for double slit
+    slitSeparation: 0.25, // mm (d) - for double slit and grating
+    slitCount: 10, // N - for grating
     screenDistance: 1.0, // m (L)
+    mask: {
+        cells: new Uint8Array(MASK_CELLS), // 1 = transmitting
+        open: [], // centers of open cells (m), rebuilt by updateMask
+        painting: null // value being painted while dragging, or null
+    },
+    aperture: {
+        shape: 'circle', // 'circle' | 'square' | 'rectangle' | 'triangle' | 'hexagonal' | 'drawn'
+        size: 0.5, // mm (D)
+        colorMap: 'wavelength', // 'wavelength' | 'false'
+        logScale: false,
+        twoSources: false,
+        separation: 1.0, // source separation in units of θ_R = 1.22λ/D
+        grid: new Uint8Array(APERTURE_SAMPLES * APERTURE_SAMPLES), // drawn aperture
+        painting: null,
+        farField: null // normalized |FFT|², FFT_SIZE² with the zero frequency at the center
+    },
     screenParams: {
-        widthInMeters: 0.2 // The physical width represented by the canvas
+        widthInMeters: 0.2, // The physical width represented by the canvas
+        centerInMeters: 0 // Screen position at the middle of the canvas, see updateViewCenter
+    },
+    viewOrder: 0, // double slit and grating order the view is centered on
+    photons: {
+        enabled: false,
+        running: false,
+        rate: 10, // hits per second
+        whichPath: false, // which-slit detector on the double slit
+        count: 0,
+        carry: 0, // fractional hit left over from the last frame
+        lastTime: null,
+        image: null, // accumulated hit colors, RGB per pattern pixel
+        histogram: new Uint32Array(PHOTON_BINS),
+        distribution: null // {spectrum, cdf} the hits are drawn from
     },
+    cursors: {
+        positions: [0, 0], // screen positions (m) of cursors A and B, see resetCursors
+        dragging: null, // index of the cursor being dragged
+        snap: false
+    },
+    showExtrema: true,
+    extrema: { maxima: [], minima: [] }, // screen positions (m) on the last graph
+    spectrum: null, // last profiles shared by the pattern and the graph
+    exercise: {
+        active: false,
+        target: 'wavelength', // 'wavelength' or 'slitWidth'
+        value: 0, // hidden value, nm or mm
+        attempts: 0
+    },
+    fresnel: false, // near-field (Fresnel integral) propagation for the 1D modes
+    showCornu: false,
+    cornuX: 0, // screen point (m) shown on the Cornu spiral
     isGraphMaximized: false
 };
 
@@ -18,11 +86,27 @@ const setupCanvas = document.getElementById('setupCanvas');
 const setupCtx = setupCanvas.getContext('2d');
 const graphCanvas = document.getElementById('graphCanvas');
 const graphCtx = graphCanvas.getContext('2d');
+const maskCanvas = document.getElementById('maskCanvas');
+const maskCtx = maskCanvas.getContext('2d');
+const apertureCanvas = document.getElementById('apertureCanvas');
+const apertureCtx = apertureCanvas.getContext('2d');
+const farfieldCanvas = document.getElementById('farfieldCanvas');
+const farfieldCtx = farfieldCanvas.getContext('2d');
+const profileCanvas = document.getElementById('profileCanvas');
+const profileCtx = profileCanvas.getContext('2d');
+const cornuCanvas = document.getElementById('cornuCanvas');
+const cornuCtx = cornuCanvas.getContext('2d');
 
 // UI Elements
 const els = {
     wavelength: document.getElementById('wavelength'),
     wavelengthVal: document.getElementById('wavelength-val'),
+    wavelengthControl: document.getElementById('wavelength-control'),
+    sourceControl: document.getElementById('source-control'),
+    sourceType: document.getElementById('source-type'),
+    customLinesControl: document.getElementById('custom-lines-control'),
+    customLines: document.getElementById('custom-lines'),
+    customLinesStatus: document.getElementById('custom-lines-status'),
     slitWidth: document.getElementById('slit-width'),
     slitWidthVal: document.getElementById('slit-width-val'),
     slitSeparation: document.getElementById('slit-separation'),
@@ -33,6 +117,73 @@ const els = {
     screenDistance: document.getElementById('screen-distance'),
     screenDistanceVal: document.getElementById('screen-distance-val'),
     separationControl: document.getElementById('separation-control'),
+    slitCount: document.getElementById('slit-count'),
+    slitCountVal: document.getElementById('slit-count-val'),
+    countControl: document.getElementById('count-control'),
+    gratingGroup: document.getElementById('grating-group'),
+    gratingOrders: document.getElementById('grating-orders'),
+    gratingSecondary: document.getElementById('grating-secondary'),
+    gratingWidth: document.getElementById('grating-width'),
+    gratingResolving: document.getElementById('grating-resolving'),
+    gratingDLambda: document.getElementById('grating-dlambda'),
+    gratingDoublet: document.getElementById('grating-doublet'),
+    maskView: document.getElementById('mask-view'),
+    maskGroup: document.getElementById('mask-group'),
+    maskOpen: document.getElementById('mask-open'),
+    btnMaskClear: document.getElementById('btn-mask-clear'),
+    btnMaskInvert: document.getElementById('btn-mask-invert'),
+    btnMaskCopy: document.getElementById('btn-mask-copy'),
+    slitGroup: document.getElementById('slit-group'),
+    patternView: document.querySelector('.pattern-view'),
+    apertureView: document.getElementById('aperture-view'),
+    profileView: document.getElementById('profile-view'),
+    apertureGroup: document.getElementById('aperture-group'),
+    apertureShape: document.getElementById('aperture-shape'),
+    apertureSize: document.getElementById('aperture-size'),
+    apertureSizeVal: document.getElementById('aperture-size-val'),
+    apertureColor: document.getElementById('aperture-color'),
+    apertureLog: document.getElementById('aperture-log'),
+    apertureTwoSources: document.getElementById('aperture-two-sources'),
+    sourceSeparation: document.getElementById('source-separation'),
+    sourceSeparationVal: document.getElementById('source-separation-val'),
+    sourceSeparationControl: document.getElementById('source-separation-control'),
+    airyRadius: document.getElementById('airy-radius'),
+    rayleighAngle: document.getElementById('rayleigh-angle'),
+    farfieldSpan: document.getElementById('farfield-span'),
+    viewWidth: document.getElementById('view-width'),
+    viewOrder: document.getElementById('view-order'),
+    viewOrderControl: document.getElementById('view-order-control'),
+    fresnelToggle: document.getElementById('fresnel-toggle'),
+    cornuToggle: document.getElementById('cornu-toggle'),
+    cornuView: document.getElementById('cornu-view'),
+    fresnelNumber: document.getElementById('fresnel-number'),
+    fresnelRegime: document.getElementById('fresnel-regime'),
+    photonGroup: document.getElementById('photon-group'),
+    photonToggle: document.getElementById('photon-toggle'),
+    photonRate: document.getElementById('photon-rate'),
+    photonRateVal: document.getElementById('photon-rate-val'),
+    whichPathControl: document.getElementById('which-path-control'),
+    whichPathToggle: document.getElementById('which-path-toggle'),
+    photonCount: document.getElementById('photon-count'),
+    btnPhotonRun: document.getElementById('btn-photon-run'),
+    btnPhotonReset: document.getElementById('btn-photon-reset'),
+    cursorA: document.getElementById('cursor-a'),
+    cursorB: document.getElementById('cursor-b'),
+    cursorDelta: document.getElementById('cursor-delta'),
+    extremaToggle: document.getElementById('extrema-toggle'),
+    snapToggle: document.getElementById('snap-toggle'),
+    maximaInfo: document.getElementById('maxima-info'),
+    minimaInfo: document.getElementById('minima-info'),
+    measureGroup: document.getElementById('measure-group'),
+    exerciseGroup: document.getElementById('exercise-group'),
+    exerciseTarget: document.getElementById('exercise-target'),
+    exercisePanel: document.getElementById('exercise-panel'),
+    exerciseAnswer: document.getElementById('exercise-answer'),
+    exerciseUnit: document.getElementById('exercise-unit'),
+    exerciseFeedback: document.getElementById('exercise-feedback'),
+    btnExerciseNew: document.getElementById('btn-exercise-new'),
+    btnExerciseCheck: document.getElementById('btn-exercise-check'),
+    btnExerciseReveal: document.getElementById('btn-exercise-reveal'),
     formulaDisplay: document.getElementById('formula-display'),
     btnMaximize: document.getElementById('btn-maximize-graph'),
     graphView: document.querySelector('.graph-view')
@@ -41,6 +192,9 @@ const els = {
 // initialization
 function init() {
     setupListeners();
+    resetCursors();
+    copySlitsToMask();
+    updateMask();
     updateFormulas();
     draw();
     drawSetup();
@@ -55,6 +209,28 @@ function setupListeners() {
         drawSetup();
     });
 
+    els.sourceType.addEventListener('change', (e) => {
+        state.source = e.target.value;
+        updateSourceControls();
+        if (state.mode === 'custom') drawMask();
+        draw();
+        drawSetup();
+    });
+
+    els.customLines.addEventListener('input', (e) => {
+        const lines = parseCustomLines(e.target.value);
+        els.customLinesStatus.classList.toggle('error', typeof lines === 'string');
+        if (typeof lines === 'string') {
+            els.customLinesStatus.textContent = lines;
+            return;
+        }
+        state.customLines = lines;
+        els.customLinesStatus.textContent = `${lines.length} çizgi`;
+        if (state.mode === 'custom') drawMask();
+        draw();
+        drawSetup();
+    });
+
     els.slitWidth.addEventListener('input', (e) => {
         state.slitWidth = parseFloat(e.target.value);
         els.slitWidthVal.textContent = state.slitWidth.toFixed(2);
@@ -73,18 +249,198 @@ function setupListeners() {
 
     els.screenDistance.addEventListener('input', (e) => {
         state.screenDistance = parseFloat(e.target.value);
-        els.screenDistanceVal.textContent = state.screenDistance.toFixed(1);
+        els.screenDistanceVal.textContent = state.screenDistance.toFixed(2);
         updateFormulas();
         draw();
         drawSetup();
     });
 
+    els.viewWidth.addEventListener('change', (e) => {
+        state.screenParams.widthInMeters = parseFloat(e.target.value);
+        state.cornuX = state.screenParams.centerInMeters;
+        resetCursors();
+        draw();
+    });
+
+    els.viewOrder.addEventListener('change', (e) => {
+        state.viewOrder = parseInt(e.target.value);
+        updateViewCenter();
+        state.cornuX = state.screenParams.centerInMeters;
+        resetCursors();
+        draw();
+    });
+
+    els.fresnelToggle.addEventListener('change', (e) => {
+        state.fresnel = e.target.checked;
+        draw();
+    });
+
+    els.cornuToggle.addEventListener('change', (e) => {
+        state.showCornu = e.target.checked;
+        draw();
+    });
+
+    // Pick the screen point for the Cornu construction; the profiles stay the same,
+    // so only the graph marker and the spiral are redrawn
+    graphCanvas.addEventListener('mousemove', (e) => {
+        if (!state.showCornu || state.isGraphMaximized) return;
+        state.cornuX = pixelToScreen(canvasX(graphCanvas, e), graphCanvas.width);
+        drawGraph(cachedSpectrum(graphCanvas.width));
+        drawCornu();
+    });
+
+    // Measuring cursors: the nearer one jumps to the click and follows the drag
+    [patternCanvas, graphCanvas].forEach(canvas => {
+        canvas.addEventListener('mousedown', (e) => {
+            const px = canvasX(canvas, e);
+            const [a, b] = state.cursors.positions.map(x => Math.abs(screenToPixel(x, canvas.width) - px));
+            state.cursors.dragging = a <= b ? 0 : 1;
+            moveCursor(canvas, px);
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            if (state.cursors.dragging !== null) moveCursor(canvas, canvasX(canvas, e));
+        });
+    });
+    window.addEventListener('mouseup', () => {
+        state.cursors.dragging = null;
+    });
+
+    els.extremaToggle.addEventListener('change', (e) => {
+        state.showExtrema = e.target.checked;
+        redrawScreen();
+    });
+    els.snapToggle.addEventListener('change', (e) => {
+        state.cursors.snap = e.target.checked;
+    });
+
+    // Measurement exercise
+    els.btnExerciseNew.addEventListener('click', startExercise);
+    els.btnExerciseCheck.addEventListener('click', checkExercise);
+    els.exerciseAnswer.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') checkExercise();
+    });
+    els.btnExerciseReveal.addEventListener('click', () => {
+        const ex = state.exercise;
+        if (!ex.active) return;
+        showExerciseFeedback(`Gizli değer: ${formatExerciseValue(ex.target, ex.value)}`, '');
+        endExercise();
+    });
+
+    els.slitCount.addEventListener('input', (e) => {
+        state.slitCount = parseInt(e.target.value);
+        els.slitCountVal.textContent = state.slitCount;
+        updateFormulas();
+        draw();
+        drawSetup();
+    });
+
+    // Mask editor: dragging paints the opposite of the first cell touched
+    maskCanvas.addEventListener('mousedown', (e) => {
+        const i = maskCellAt(e);
+        state.mask.painting = state.mask.cells[i] ? 0 : 1;
+        paintMaskCell(i);
+    });
+    maskCanvas.addEventListener('mousemove', (e) => {
+        if (state.mask.painting !== null) paintMaskCell(maskCellAt(e));
+    });
+    window.addEventListener('mouseup', () => {
+        state.mask.painting = null;
+    });
+
+    els.btnMaskClear.addEventListener('click', () => {
+        state.mask.cells.fill(0);
+        updateMask();
+    });
+    els.btnMaskInvert.addEventListener('click', () => {
+        state.mask.cells.forEach((c, i) => { state.mask.cells[i] = 1 - c; });
+        updateMask();
+    });
+    els.btnMaskCopy.addEventListener('click', () => {
+        copySlitsToMask();
+        updateMask();
+    });
+
+    // 2D aperture
+    els.apertureShape.addEventListener('change', (e) => {
+        const ap = state.aperture;
+        // Start the drawing from the shape that was on screen
+        if (e.target.value === 'drawn') ap.grid = buildAperture(ap.shape).map(v => (v > 0.5 ? 1 : 0));
+        ap.shape = e.target.value;
+        updateFarField();
+    });
+    els.apertureSize.addEventListener('input', (e) => {
+        state.aperture.size = parseFloat(e.target.value);
+        els.apertureSizeVal.textContent = state.aperture.size.toFixed(2);
+        draw();
+        drawSetup();
+    });
+    els.apertureColor.addEventListener('change', (e) => {
+        state.aperture.colorMap = e.target.value;
+        draw();
+    });
+    els.apertureLog.addEventListener('change', (e) => {
+        state.aperture.logScale = e.target.checked;
+        draw();
+    });
+    els.apertureTwoSources.addEventListener('change', (e) => {
+        state.aperture.twoSources = e.target.checked;
+        els.sourceSeparationControl.classList.toggle('disabled', !e.target.checked);
+        els.sourceSeparation.disabled = !e.target.checked;
+        updateFarField();
+    });
+    els.sourceSeparation.addEventListener('input', (e) => {
+        state.aperture.separation = parseFloat(e.target.value);
+        els.sourceSeparationVal.textContent = state.aperture.separation.toFixed(2);
+        updateFarField();
+    });
+
+    apertureCanvas.addEventListener('mousedown', (e) => {
+        const ap = state.aperture;
+        if (ap.shape !== 'drawn') return;
+        const i = apertureCellAt(e);
+        ap.painting = ap.grid[i] ? 0 : 1;
+        paintApertureCell(i);
+    });
+    apertureCanvas.addEventListener('mousemove', (e) => {
+        if (state.aperture.painting !== null) paintApertureCell(apertureCellAt(e));
+    });
+    window.addEventListener('mouseup', () => {
+        state.aperture.painting = null;
+    });
+
+    // Single-particle build-up
+    els.photonToggle.addEventListener('change', (e) => {
+        state.photons.enabled = e.target.checked;
+        resetPhotons();
+        setPhotonsRunning(e.target.checked);
+        draw();
+    });
+    els.photonRate.addEventListener('input', (e) => {
+        state.photons.rate = Math.round(Math.pow(10, parseFloat(e.target.value)));
+        els.photonRateVal.textContent = state.photons.rate;
+    });
+    els.whichPathToggle.addEventListener('change', (e) => {
+        state.photons.whichPath = e.target.checked;
+        updateFormulas();
+        draw();
+    });
+    els.btnPhotonRun.addEventListener('click', () => {
+        if (!state.photons.enabled) {
+            els.photonToggle.checked = true;
+            state.photons.enabled = true;
+            resetPhotons();
+        }
+        setPhotonsRunning(!state.photons.running);
+        draw();
+    });
+    els.btnPhotonReset.addEventListener('click', () => {
+        resetPhotons();
+        draw();
+    });
+
     els.btnMaximize.addEventListener('click', toggleMaximizeGraph);
     window.addEventListener('resize', () => {
-        if (state.isGraphMaximized) {
-            resizeGraphCanvas();
-            drawGraph();
-        }
+        if (state.isGraphMaximized) resizeGraphCanvas();
     });
 }
 
@@ -92,30 +448,86 @@ function setupListeners() {
 window.setMode = function (mode) {
     state.mode = mode;
 
-    // Toggle Double Slit controls
-    if (mode === 'double') {
-        els.separationControl.classList.remove('disabled');
-        els.slitSeparation.disabled = false;
-    } else {
-        els.separationControl.classList.add('disabled');
-        els.slitSeparation.disabled = true;
+    // Toggle Double Slit / Grating controls
+    const periodic = mode !== 'single'; // the mask editor loads a double slit from d
+    els.separationControl.classList.toggle('disabled', !periodic);
+    els.slitSeparation.disabled = !periodic;
+    els.countControl.classList.toggle('disabled', mode !== 'grating');
+    els.slitCount.disabled = mode !== 'grating';
+
+    // Only fringes with orders can be centered on one
+    const ordered = mode === 'double' || mode === 'grating';
+    els.viewOrderControl.classList.toggle('disabled', !ordered);
+    els.viewOrder.disabled = !ordered;
+    els.whichPathControl.classList.toggle('disabled', mode !== 'double');
+    els.whichPathToggle.disabled = mode !== 'double';
+
+    // The 2D aperture replaces the slit controls and the 1D screen views
+    const planar = mode === 'aperture2d';
+    els.slitGroup.style.display = planar ? 'none' : '';
+    els.apertureGroup.style.display = planar ? '' : 'none';
+    els.apertureView.style.display = planar ? '' : 'none';
+    els.profileView.style.display = planar ? '' : 'none';
+    els.patternView.style.display = planar ? 'none' : '';
+    els.graphView.style.display = planar ? 'none' : '';
+    els.photonGroup.style.display = planar ? 'none' : '';
+    els.measureGroup.style.display = planar ? 'none' : '';
+    els.exerciseGroup.style.display = planar ? 'none' : '';
+    if (planar) setPhotonsRunning(false);
+    // The mask editor copies a onto the mask, so a hidden slit width cannot survive custom mode
+    const exerciseEnds = planar ? state.exercise.active : mode === 'custom' && isExerciseHidden('slitWidth');
+    if (exerciseEnds) {
+        showExerciseFeedback(`Alıştırma bitti. Gizli değer: ${formatExerciseValue(state.exercise.target, state.exercise.value)}`, '');
+        endExercise();
     }
+    if (planar && !state.aperture.farField) updateFarField();
+    updateSourceControls();
+
+    els.gratingGroup.style.display = mode === 'grating' ? '' : 'none';
+    els.maskGroup.style.display = mode === 'custom' ? '' : 'none';
+    els.maskView.style.display = mode === 'custom' ? '' : 'none';
+    if (mode === 'custom') drawMask();
 
     updateFormulas();
     draw();
     drawSetup();
 }
 
+// The wavelength slider belongs to the laser; the 2D aperture is always monochromatic
+function updateSourceControls() {
+    const planar = state.mode === 'aperture2d';
+    els.sourceControl.style.display = planar ? 'none' : '';
+    els.customLinesControl.style.display = !planar && state.source === 'custom' ? '' : 'none';
+    els.wavelengthControl.style.display = planar || state.source === 'mono' ? '' : 'none';
+}
+
 function updateFormulas() {
     // Dynamically update MathJax formulas based on mode
     let html = '';
     if (state.mode === 'single') {
         html = `<p><strong>Tek Yarık Minima:</strong><br> $\\sin(\\theta) = \\frac{n\\lambda}{a}$</p>`;
+    } else if (state.mode === 'grating') {
+        html = `
+            <p><strong>Ana Maksimumlar:</strong><br> $d\\sin(\\theta) = m\\lambda$</p>
+            <p><strong>Yoğunluk:</strong><br> $I = I_0 \\left(\\frac{\\sin\\beta}{\\beta}\\right)^2 \\left(\\frac{\\sin N\\alpha}{N\\sin\\alpha}\\right)^2$</p>
+            <p><strong>Çözme Gücü:</strong><br> $R = \\frac{\\lambda}{\\Delta\\lambda} = mN$</p>
+        `;
+    } else if (state.mode === 'custom') {
+        html = `<p><strong>Uzak Alan (Fraunhofer):</strong><br> $U(\\theta) \\propto \\sum_j t_j\\, e^{i k x_j \\sin\\theta}$</p>`;
+    } else if (state.mode === 'aperture2d') {
+        html = `
+            <p><strong>Uzak Alan:</strong><br> $U(f_x, f_y) = \\mathcal{F}\\{t(x, y)\\}$, $\\; f = \\frac{\\sin\\theta}{\\lambda}$</p>
+            <p><strong>Airy Diski (İlk Karanlık Halka):</strong><br> $\\sin(\\theta) = 1.22\\frac{\\lambda}{D}$</p>
+            <p><strong>Rayleigh Ölçütü:</strong><br> $\\theta_R = 1.22\\frac{\\lambda}{D}$</p>
+        `;
     } else {
         html = `
             <p><strong>Çift Yarık Maxima:</strong><br> $\\sin(\\theta) = \\frac{n\\lambda}{d}$</p>
             <p><strong>Tek Yarık Zarfı (Min):</strong><br> $\\sin(\\theta) = \\frac{m\\lambda}{a}$</p>
         `;
+        if (state.photons.whichPath) {
+            html += `<p><strong>Hangi Yarık Bilgisiyle:</strong><br> $I = |\\psi_1|^2 + |\\psi_2|^2$ (girişim terimi yok)</p>`;
+        }
     }
     els.formulaDisplay.innerHTML = html;
     // Rerender MathJax
@@ -178,10 +590,67 @@ function nmToRGB(wavelength) {
     return rgb;
 }
 
+// Spectral lines of the light source as {lambda (nm), weight}
+function getSourceLines() {
+    if (state.mode === 'aperture2d' || state.source === 'mono') return [{ lambda: state.wavelength, weight: 1 }];
+    if (state.source === 'sodium') return SODIUM_LINES;
+    if (state.source === 'custom') return state.customLines;
+
+    const lines = [];
+    for (let l = WHITE_LINES.min; l <= WHITE_LINES.max; l += WHITE_LINES.step) lines.push({ lambda: l, weight: 1 });
+    return lines;
+}
+
+// "λ:weight" pairs separated by commas; a missing weight is 1. Returns the lines or an error message
+function parseCustomLines(text) {
+    const entries = text.split(/[,;\n]/).map(t => t.trim()).filter(t => t.length > 0);
+    if (entries.length === 0) return 'En az bir çizgi girin.';
+    if (entries.length > MAX_CUSTOM_LINES) return `En fazla ${MAX_CUSTOM_LINES} çizgi girilebilir.`;
+
+    const lines = [];
+    for (const entry of entries) {
+        const [lambdaText, weightText] = entry.split(':');
+        const lambda = parseFloat(lambdaText);
+        const weight = weightText === undefined ? 1 : parseFloat(weightText);
+        if (!(lambda >= 380 && lambda <= 780)) return `"${entry}": dalga boyu 380–780 nm arasında olmalı.`;
+        if (!(weight > 0)) return `"${entry}": ağırlık pozitif olmalı.`;
+        lines.push({ lambda: lambda, weight: weight });
+    }
+    return lines;
+}
+
+// Weighted mean wavelength (nm), used for the readouts and the order positions
+function getMeanWavelength() {
+    let sum = 0;
+    let total = 0;
+    getSourceLines().forEach(line => {
+        sum += line.weight * line.lambda;
+        total += line.weight;
+    });
+    return sum / total;
+}
+
+// Color of the source as a whole: white light is white, line sources mix their colors
+function getSourceColor() {
+    const lines = getSourceLines();
+    if (lines.length === 1) return nmToRGB(lines[0].lambda);
+    if (state.source === 'white') return [255, 255, 255];
+
+    const mix = [0, 0, 0];
+    lines.forEach(line => {
+        nmToRGB(line.lambda).forEach((c, k) => { mix[k] += line.weight * c; });
+    });
+    const peak = Math.max(...mix);
+    return mix.map(c => (peak > 0 ? Math.round(c / peak * 255) : 0));
+}
+
 function calculateIntensity(x, params) {
     // x: position on screen from center (meters)
     // params: { lambda (m), a (m), d (m), L (m) }
 
+    // Near field: relative to the unobstructed wave, see fresnelIntensity
+    if (params.fresnel) return fresnelIntensity(x, params);
+
     // Angle theta. For small angles, tan(theta) approx sin(theta) approx theta = x / L
     // But we will use exact trig: tan(theta) = x / L => theta = atan(x/L)
     const theta = Math.atan(x / params.L);
@@ -198,52 +667,340 @@ function calculateIntensity(x, params) {
 
     if (state.mode === 'single') {
         return singleSlitFactor;
+    } else if (state.mode === 'grating') {
+        // N-slit grating: (sin Nα / N sin α)², equal to 1 at every principal maximum
+        const alpha = (k * params.d * Math.sin(theta)) / 2;
+        const N = params.N;
+        const sinAlpha = Math.sin(alpha);
+        let gratingFactor;
+        if (Math.abs(sinAlpha) < 1e-9) {
+            gratingFactor = 1;
+        } else {
+            gratingFactor = Math.pow(Math.sin(N * alpha) / (N * sinAlpha), 2);
+        }
+        return singleSlitFactor * gratingFactor;
+    } else if (state.mode === 'custom') {
+        return maskIntensity(Math.sin(theta), k);
     } else {
         // Double Slit
         // alpha = (k * d * sin(theta)) / 2
         const alpha = (k * params.d * Math.sin(theta)) / 2;
-        const interferenceFactor = Math.pow(Math.cos(alpha), 2);
+        // A which-slit measurement leaves the two single-slit patterns, scaled to a peak of 1 like the others
+        const interferenceFactor = params.whichPath ? 1 : Math.pow(Math.cos(alpha), 2);
         return singleSlitFactor * interferenceFactor;
     }
 }
 
-// Drawing Functions
-function draw() {
-    drawPattern();
-    drawGraph();
-}
+/**
+ * Far field of the painted mask, summed numerically over its open cells.
+ * Each cell is a small slit, so the sum is multiplied by the cell's own sinc
+ * envelope. Normalized by the fully coherent forward value (open width)².
+ */
+function maskIntensity(sinTheta, k) {
+    const open = state.mask.open;
+    if (open.length === 0) return 0;
+
+    let re = 0;
+    let im = 0;
+    for (let j = 0; j < open.length; j++) {
+        const phase = k * open[j] * sinTheta;
+        re += Math.cos(phase);
+        im += Math.sin(phase);
+    }
 
-function drawPattern() {
-    const w = patternCanvas.width;
-    const h = patternCanvas.height;
-    patternCtx.clearRect(0, 0, w, h);
+    const beta = (k * MASK_CELL_WIDTH * 1e-3 * sinTheta) / 2;
+    const cellFactor = Math.abs(beta) < 1e-6 ? 1 : Math.pow(Math.sin(beta) / beta, 2);
+    return cellFactor * (re * re + im * im) / (open.length * open.length);
+}
 
-    // Physics parameters converted to SI units
+function getParams() {
     const params = {
-        lambda: state.wavelength * 1e-9,
+        lambda: getMeanWavelength() * 1e-9,
         a: state.slitWidth * 1e-3,
         d: state.slitSeparation * 1e-3,
+        N: state.slitCount,
         L: state.screenDistance
     };
+    params.fresnel = state.fresnel && getSlits(params).length <= FRESNEL_MAX_SLITS;
+    params.whichPath = state.mode === 'double' && state.photons.whichPath;
+    return params;
+}
 
-    // Color
-    const [r, g, b] = nmToRGB(state.wavelength);
+// Open intervals [x1, x2] of the aperture (m), left to right
+function getSlits(params) {
+    const a = params.a;
+    const d = params.d;
+    if (state.mode === 'single') return [[-a / 2, a / 2]];
+    if (state.mode === 'double') return [[-d / 2 - a / 2, -d / 2 + a / 2], [d / 2 - a / 2, d / 2 + a / 2]];
+    if (state.mode === 'grating') {
+        const slits = [];
+        for (let j = 0; j < params.N; j++) {
+            const c = (j - (params.N - 1) / 2) * d;
+            slits.push([c - a / 2, c + a / 2]);
+        }
+        return slits;
+    }
+
+    // Custom mask: runs of open cells
+    const cell = MASK_CELL_WIDTH * 1e-3;
+    const slits = [];
+    let start = -1;
+    for (let i = 0; i <= MASK_CELLS; i++) {
+        const isOpen = i < MASK_CELLS && state.mask.cells[i];
+        if (isOpen && start < 0) start = i;
+        if (!isOpen && start >= 0) {
+            slits.push([(start - MASK_CELLS / 2) * cell, (i - MASK_CELLS / 2) * cell]);
+            start = -1;
+        }
+    }
+    return slits;
+}
+
+/**
+ * Fresnel integrals C(x) and S(x): power series below |x| = 4, asymptotic
+ * auxiliary functions f and g above (A&S 7.3.27–28). Both are good to about
+ * 10⁻⁷, which matters because far-field chords are tiny differences.
+ */
+function fresnelCS(x) {
+    const ax = Math.abs(x);
+    let C = 0;
+    let S = 0;
+    if (ax < 4) {
+        // term_k = x·t^k / k!, t = πx²/2; even k feed C, odd k feed S, each divided by 2k + 1
+        const t = Math.PI * ax * ax / 2;
+        let term = ax;
+        for (let k = 0; k < 120; k++) {
+            const sign = (k >> 1) % 2 === 0 ? 1 : -1;
+            if (k % 2 === 0) C += sign * term / (2 * k + 1);
+            else S += sign * term / (2 * k + 1);
+            term *= t / (k + 1);
+            if (term < 1e-17) break;
+        }
+    } else {
+        const u = Math.PI * ax * ax;
+        const u2 = u * u;
+        const f = (1 - 3 / u2 + 105 / (u2 * u2) - 10395 / (u2 * u2 * u2)) / (Math.PI * ax);
+        const g = (1 - 15 / u2 + 945 / (u2 * u2) - 135135 / (u2 * u2 * u2)) / (Math.PI * ax * u);
+        const phase = u / 2;
+        C = 0.5 + f * Math.sin(phase) - g * Math.cos(phase);
+        S = 0.5 - f * Math.cos(phase) - g * Math.sin(phase);
+    }
+    return x < 0 ? [-C, -S] : [C, S];
+}
+
+/**
+ * Near-field intensity at screen point x for plane-wave illumination, in
+ * units of the unobstructed intensity. Each slit adds the Cornu-spiral chord
+ * between v = √(2/λL)·(x₁ − x) and √(2/λL)·(x₂ − x); I/I₀ = |Σ chords|² / 2.
+ * With which-slit information the chords add in intensity instead, Σ |chord|² / 2.
+ */
+function fresnelIntensity(x, params) {
+    const scale = Math.sqrt(2 / (params.lambda * params.L));
+    let re = 0;
+    let im = 0;
+    let incoherent = 0;
+    getSlits(params).forEach(([x1, x2]) => {
+        const [c1, s1] = fresnelCS(scale * (x1 - x));
+        const [c2, s2] = fresnelCS(scale * (x2 - x));
+        re += c2 - c1;
+        im += s2 - s1;
+        incoherent += Math.pow(c2 - c1, 2) + Math.pow(s2 - s1, 2);
+    });
+    return (params.whichPath ? incoherent : re * re + im * im) / 2;
+}
+
+// N_F = (w/2)² / (λL) with w the full width of the aperture
+function getFresnelNumber(params) {
+    const slits = getSlits(params);
+    if (slits.length === 0) return 0;
+    const width = slits[slits.length - 1][1] - slits[0][0];
+    return Math.pow(width / 2, 2) / (params.lambda * params.L);
+}
+
+function updateFresnelInfo() {
+    const params = getParams();
+    const nf = getFresnelNumber(params);
+    // N_F would give away the hidden λ or a
+    els.fresnelNumber.textContent = state.exercise.active ? '?' : nf < 0.01 ? nf.toExponential(2) : nf.toFixed(3);
+
+    let regime = nf < 0.1 ? 'Uzak alan (Fraunhofer)' : nf < 1 ? 'Geçiş bölgesi' : 'Yakın alan (Fresnel)';
+    if (state.fresnel && !params.fresnel) regime += ` — N > ${FRESNEL_MAX_SLITS}, Fraunhofer`;
+    els.fresnelRegime.textContent = regime;
+}
+
+// Finest feature on the screen (m): fringe period or principal-maximum width
+function getFeatureSize(params) {
+    const scale = params.lambda * params.L;
+    if (state.mode === 'single') return scale / params.a;
+    if (state.mode === 'double') return scale / params.d;
+    if (state.mode === 'grating') return scale / (params.N * params.d);
+
+    const open = state.mask.open;
+    if (open.length === 0) return Infinity;
+    const span = open[open.length - 1] - open[0] + MASK_CELL_WIDTH * 1e-3;
+    return scale / span;
+}
+
+// Screen positions (m) of the grating's principal maxima d sinθ = mλ, left to right
+function getPrincipalMaxima(params) {
+    const mMax = Math.floor(params.d / params.lambda);
+    const positions = [];
+    for (let m = -mMax; m <= mMax; m++) {
+        const sinTheta = m * params.lambda / params.d;
+        if (Math.abs(sinTheta) < 1) positions.push(params.L * Math.tan(Math.asin(sinTheta)));
+    }
+    return positions;
+}
+
+// Centers the view on the chosen order at the mean wavelength, or on the axis
+function updateViewCenter() {
+    const ordered = state.mode === 'double' || state.mode === 'grating';
+    const sinTheta = state.viewOrder * getMeanWavelength() * 1e-9 / (state.slitSeparation * 1e-3);
+    state.screenParams.centerInMeters = ordered && sinTheta < 1
+        ? state.screenDistance * Math.tan(Math.asin(sinTheta))
+        : 0;
+}
+
+// Screen position (m) of pixel column i on a canvas w pixels wide
+function pixelToScreen(i, w) {
+    const sp = state.screenParams;
+    return sp.centerInMeters + ((i - w / 2) / (w / 2)) * sp.widthInMeters / 2;
+}
+
+// Pixel column of screen position x (m) on a canvas w pixels wide
+function screenToPixel(x, w) {
+    const sp = state.screenParams;
+    return w / 2 + (x - sp.centerInMeters) / (sp.widthInMeters / 2) * (w / 2);
+}
+
+/**
+ * Intensity for every pixel column of a canvas w pixels wide. When fringes or
+ * grating peaks are narrower than a pixel, each column takes the brightest of
+ * several samples, and of any principal maximum inside it, so that the peaks
+ * are not lost between pixels.
+ */
+function computeProfile(w, params, maxSamples = MAX_SUPERSAMPLE) {
+    const pixelSize = state.screenParams.widthInMeters / w;
+    if (params.fresnel) maxSamples = Math.min(maxSamples, FRESNEL_SUPERSAMPLE);
+    const samples = Math.min(maxSamples, Math.max(1, Math.ceil(3 * pixelSize / getFeatureSize(params))));
+    const peaks = state.mode === 'grating' ? getPrincipalMaxima(params) : [];
+    let nextPeak = 0;
+
+    const profile = new Float32Array(w);
+    for (let i = 0; i < w; i++) {
+        const center = pixelToScreen(i, w);
+        let max = 0;
+        if (samples === 1) {
+            max = calculateIntensity(center, params);
+        } else {
+            for (let s = 0; s < samples; s++) {
+                const x = center + ((s + 0.5) / samples - 0.5) * pixelSize;
+                max = Math.max(max, calculateIntensity(x, params));
+            }
+        }
+
+        while (nextPeak < peaks.length && peaks[nextPeak] < center + pixelSize / 2) {
+            if (peaks[nextPeak] >= center - pixelSize / 2) {
+                max = Math.max(max, calculateIntensity(peaks[nextPeak], params));
+            }
+            nextPeak++;
+        }
+        profile[i] = max;
+    }
+
+    // The near-field pattern is shown relative to its brightest point, like the far-field one
+    if (params.fresnel) {
+        let peak = 0;
+        profile.forEach(v => { peak = Math.max(peak, v); });
+        if (peak > 0) profile.forEach((v, i) => { profile[i] = v / peak; });
+    }
+    return profile;
+}
+
+/**
+ * Profile of every source line on a canvas w pixels wide, and their weighted
+ * sum normalized to 1. Each line peaks at its weight, so equal-weight lines
+ * add up to white where they all overlap.
+ */
+function computeSpectrum(w) {
+    const base = getParams();
+    const sourceLines = getSourceLines();
+    const single = sourceLines.length === 1;
+    const lines = sourceLines.map(line => ({
+        lambda: line.lambda,
+        weight: line.weight,
+        profile: computeProfile(w, Object.assign({}, base, { lambda: line.lambda * 1e-9 }),
+            single ? MAX_SUPERSAMPLE : POLYCHROME_SUPERSAMPLE)
+    }));
+
+    const total = new Float32Array(w);
+    lines.forEach(line => {
+        line.profile.forEach((v, i) => { total[i] += line.weight * v; });
+    });
+    let peak = 0;
+    total.forEach(v => { peak = Math.max(peak, v); });
+    const scale = peak > 0 ? 1 / peak : 0;
+    total.forEach((v, i) => { total[i] = v * scale; });
+
+    return { lines: lines, total: total, scale: scale };
+}
+
+// Drawing Functions
+function draw() {
+    if (state.mode === 'aperture2d') {
+        drawAperture2D();
+        return;
+    }
+    updateViewCenter();
+    updateGratingInfo();
+    updateFresnelInfo();
+
+    // Cache the graph's profiles; the stripe shares them when it is the same width
+    state.spectrum = computeSpectrum(graphCanvas.width);
+    if (state.photons.enabled) updatePhotonDistribution(cachedSpectrum(patternCanvas.width) || computeSpectrum(patternCanvas.width));
+    redrawScreen();
+
+    els.cornuView.style.display = state.showCornu ? '' : 'none';
+    if (state.showCornu) drawCornu();
+}
+
+// Pattern and graph from the last computed profiles, e.g. after a cursor moved
+function redrawScreen() {
+    if (state.photons.enabled) drawPhotonPattern();
+    else drawPattern(cachedSpectrum(patternCanvas.width));
+    drawGraph(cachedSpectrum(graphCanvas.width));
+}
+
+// The cached profiles if they were computed for a canvas w pixels wide
+function cachedSpectrum(w) {
+    const spectrum = state.spectrum;
+    return spectrum && spectrum.total.length === w ? spectrum : null;
+}
+
+function drawPattern(sharedSpectrum) {
+    const w = patternCanvas.width;
+    const h = patternCanvas.height;
+    patternCtx.clearRect(0, 0, w, h);
 
     // We render every column of pixels
     const imgData = patternCtx.createImageData(w, h);
     const data = imgData.data;
 
-    // Screen width in meters
-    // Let's deduce physical width visible based on some arbitrary scale or fixed value
-    // Let's say the canvas width corresponds to 20cm (0.2m)
-    const screenPhysicalWidth = state.screenParams.widthInMeters;
+    // The canvas width corresponds to state.screenParams.widthInMeters (20 cm by default)
+    const spectrum = sharedSpectrum || computeSpectrum(w);
+    if (spectrum.lines.length > 1) {
+        drawPolychromePattern(spectrum, imgData);
+        patternCtx.putImageData(imgData, 0, 0);
+        drawCursors(patternCtx, w, h);
+        return;
+    }
 
-    for (let i = 0; i < w; i++) {
-        // Map pixel x to physical x (0 is center)
-        const logicalX = (i - w / 2) / (w / 2); // -1 to 1
-        const physicalX = logicalX * (screenPhysicalWidth / 2);
+    // Color
+    const [r, g, b] = nmToRGB(spectrum.lines[0].lambda);
+    const profile = spectrum.total;
 
-        const intensity = calculateIntensity(physicalX, params);
+    for (let i = 0; i < w; i++) {
+        const intensity = profile[i];
 
         // Render
         // We set alpha based on intensity
@@ -259,9 +1016,54 @@ function drawPattern() {
     }
 
     patternCtx.putImageData(imgData, 0, 0);
+    drawCursors(patternCtx, w, h);
 }
 
-function drawGraph() {
+/**
+ * Sums every line's intensity in its own color. White light is balanced so
+ * that all lines at full strength give white, as at the zeroth order; the
+ * brightest column is then scaled to full alpha and each column keeps its hue.
+ */
+function drawPolychromePattern(spectrum, imgData) {
+    const w = imgData.width;
+    const h = imgData.height;
+    const data = imgData.data;
+
+    const balance = [1, 1, 1];
+    if (state.source === 'white') {
+        balance.fill(0);
+        spectrum.lines.forEach(line => {
+            nmToRGB(line.lambda).forEach((c, k) => { balance[k] += line.weight * c / 255; });
+        });
+    }
+
+    const rgb = new Float32Array(w * 3);
+    spectrum.lines.forEach(line => {
+        const color = nmToRGB(line.lambda).map((c, k) => (balance[k] > 0 ? line.weight * c / balance[k] : 0));
+        line.profile.forEach((v, i) => {
+            rgb[i * 3] += v * color[0];
+            rgb[i * 3 + 1] += v * color[1];
+            rgb[i * 3 + 2] += v * color[2];
+        });
+    });
+    let peak = 0;
+    rgb.forEach(v => { peak = Math.max(peak, v); });
+
+    for (let i = 0; i < w; i++) {
+        const brightest = Math.max(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]);
+        const alpha = peak > 0 ? Math.floor(brightest / peak * 255) : 0;
+        const hue = brightest > 0 ? 255 / brightest : 0;
+        for (let j = 0; j < h; j++) {
+            const idx = (j * w + i) * 4;
+            data[idx] = Math.round(rgb[i * 3] * hue);
+            data[idx + 1] = Math.round(rgb[i * 3 + 1] * hue);
+            data[idx + 2] = Math.round(rgb[i * 3 + 2] * hue);
+            data[idx + 3] = alpha;
+        }
+    }
+}
+
+function drawGraph(sharedSpectrum) {
     const w = graphCanvas.width;
     const h = graphCanvas.height;
     graphCtx.clearRect(0, 0, w, h);
@@ -270,10 +1072,11 @@ function drawGraph() {
     graphCtx.strokeStyle = '#334155';
     graphCtx.lineWidth = 1;
 
-    // Center Line
+    // Center Line (the optical axis, which may be off screen when centered on an order)
+    const axisX = screenToPixel(0, w);
     graphCtx.beginPath();
-    graphCtx.moveTo(w / 2, 0);
-    graphCtx.lineTo(w / 2, h);
+    graphCtx.moveTo(axisX, 0);
+    graphCtx.lineTo(axisX, h);
     graphCtx.stroke();
 
     // Bottom Axis
@@ -283,29 +1086,42 @@ function drawGraph() {
     graphCtx.stroke();
 
     // Plot intensity curve
-    const params = {
-        lambda: state.wavelength * 1e-9,
-        a: state.slitWidth * 1e-3,
-        d: state.slitSeparation * 1e-3,
-        L: state.screenDistance
-    };
+    const params = getParams();
+    const spectrum = sharedSpectrum || computeSpectrum(w);
+    const profile = spectrum.total;
 
     const screenPhysicalWidth = state.screenParams.widthInMeters;
 
-    const [r, g, b] = nmToRGB(state.wavelength);
-    graphCtx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
-    graphCtx.lineWidth = 2;
-    graphCtx.beginPath();
-
     // Padding from bottom
     const bottomPad = 25;
     const graphHeight = h - 35; // Max height of peak
 
-    for (let i = 0; i < w; i++) {
-        const logicalX = (i - w / 2) / (w / 2);
-        const physicalX = logicalX * (screenPhysicalWidth / 2);
+    if (state.photons.enabled) drawPhotonHistogram(bottomPad, graphHeight);
+
+    // A few lines are also drawn separately, each with its share of the total
+    const polychrome = spectrum.lines.length > 1;
+    if (polychrome && spectrum.lines.length <= 6) {
+        graphCtx.lineWidth = 1;
+        spectrum.lines.forEach(line => {
+            const [lr, lg, lb] = nmToRGB(line.lambda);
+            graphCtx.strokeStyle = `rgba(${lr}, ${lg}, ${lb}, 0.7)`;
+            graphCtx.beginPath();
+            line.profile.forEach((v, i) => {
+                const y = (h - bottomPad) - (line.weight * v * spectrum.scale * graphHeight);
+                if (i === 0) graphCtx.moveTo(i, y);
+                else graphCtx.lineTo(i, y);
+            });
+            graphCtx.stroke();
+        });
+    }
+
+    const [r, g, b] = polychrome ? [226, 232, 240] : nmToRGB(spectrum.lines[0].lambda);
+    graphCtx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+    graphCtx.lineWidth = 2;
+    graphCtx.beginPath();
 
-        const intensity = calculateIntensity(physicalX, params);
+    for (let i = 0; i < w; i++) {
+        const intensity = profile[i];
 
         // y coordinate (0 is top, h is bottom)
         // intensity 1 -> y = h - bottomPad - graphHeight
@@ -326,59 +1142,199 @@ function drawGraph() {
     graphCtx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.2)`;
     graphCtx.fill();
 
-    // Draw Ticks (1 cm intervals)
+    // Draw Ticks: the smallest 1-2-5 step at least 25 px apart, in cm or mm
     graphCtx.fillStyle = '#94a3b8';
     graphCtx.font = '10px monospace';
     graphCtx.textAlign = 'center';
 
     const halfPhysicalWidth = screenPhysicalWidth / 2; // meters
-    const oneCm = 0.01; // meters
     // Pixels per meter
     const pixelsPerMeter = (w / 2) / halfPhysicalWidth;
-    const pixelsPerCm = pixelsPerMeter * oneCm;
+    const ticks = getTickStep(pixelsPerMeter);
 
-    // Center Tick
-    graphCtx.beginPath();
+    // Ticks at whole steps from the axis, across the visible part of the screen
     graphCtx.strokeStyle = '#334155';
-    graphCtx.moveTo(w / 2, h - bottomPad);
-    graphCtx.lineTo(w / 2, h - bottomPad + 5);
-    graphCtx.stroke();
-    graphCtx.fillText('0', w / 2, h - 10);
-
-    // Ticks to the right
-    let cmCount = 1;
-    for (let x = w / 2 + pixelsPerCm; x < w; x += pixelsPerCm) {
-        if (x > w - 10) break; // Don't draw too close to edge
+    const first = Math.ceil(pixelToScreen(10, w) / ticks.step);
+    const last = Math.floor(pixelToScreen(w - 10, w) / ticks.step);
+    for (let k = first; k <= last; k++) {
+        const x = screenToPixel(k * ticks.step, w);
         graphCtx.beginPath();
         graphCtx.moveTo(x, h - bottomPad);
         graphCtx.lineTo(x, h - bottomPad + 5);
         graphCtx.stroke();
-        // Label every 5 cm to avoid overcrowding if small, or every 1cm if plenty space
-        // Let's label every 1cm but skipping if too crowded?
-        // For simplicity, label every cm if spacing permits > 20px
-        if (pixelsPerCm > 25 || cmCount % 5 === 0) {
-            graphCtx.fillText(`${cmCount}`, x, h - 10);
-        }
-        cmCount++;
+        const value = k * ticks.step / ticks.unitSize;
+        graphCtx.fillText(`${parseFloat(value.toFixed(3))}`, x, h - 10);
     }
 
-    // Ticks to the left
-    cmCount = 1;
-    for (let x = w / 2 - pixelsPerCm; x > 0; x -= pixelsPerCm) {
-        if (x < 10) break;
+    // X-Axis Label
+    graphCtx.textAlign = 'right';
+    graphCtx.fillText(ticks.unit, w - 5, h - 10);
+
+    // Screen point of the Cornu construction
+    if (state.showCornu && !state.isGraphMaximized) {
+        const x = screenToPixel(state.cornuX, w);
+        graphCtx.strokeStyle = '#facc15';
+        graphCtx.setLineDash([4, 3]);
         graphCtx.beginPath();
-        graphCtx.moveTo(x, h - bottomPad);
-        graphCtx.lineTo(x, h - bottomPad + 5);
+        graphCtx.moveTo(x, 0);
+        graphCtx.lineTo(x, h - bottomPad);
         graphCtx.stroke();
-        if (pixelsPerCm > 25 || cmCount % 5 === 0) {
-            graphCtx.fillText(`-${cmCount}`, x, h - 10);
-        }
-        cmCount++;
+        graphCtx.setLineDash([]);
     }
 
-    // X-Axis Label
-    graphCtx.textAlign = 'right';
-    graphCtx.fillText('cm', w - 5, h - 10);
+    if (state.mode === 'grating') {
+        drawOrderLabels(params, pixelsPerMeter, h - bottomPad - graphHeight);
+    }
+
+    state.extrema = findExtrema(profile);
+    if (state.showExtrema) drawExtrema(profile, bottomPad, graphHeight);
+    drawCursors(graphCtx, w, h - bottomPad);
+    updateMeasureInfo();
+}
+
+// Axis step in meters with its display unit (cm above 1 cm steps, mm below)
+function getTickStep(pixelsPerMeter) {
+    const steps = [1e-4, 2e-4, 5e-4, 1e-3, 2e-3, 5e-3, 1e-2, 2e-2, 5e-2];
+    const step = steps.find(s => s * pixelsPerMeter >= 25) || steps[steps.length - 1];
+    return step >= 1e-2
+        ? { step: step, unit: 'cm', unitSize: 1e-2 }
+        : { step: step, unit: 'mm', unitSize: 1e-3 };
+}
+
+// Principal maxima d sinθ = mλ labelled with their order above the curve
+function drawOrderLabels(params, pixelsPerMeter, top) {
+    const w = graphCanvas.width;
+    graphCtx.fillStyle = '#e2e8f0';
+    graphCtx.font = '10px monospace';
+    graphCtx.textAlign = 'center';
+
+    const peaks = getPrincipalMaxima(params);
+    const m0 = (peaks.length - 1) / 2;
+    // Label every order only when they are at least 30 px apart near the center
+    const spacing = peaks.length > 1 ? (peaks[m0 + 1] - peaks[m0]) * pixelsPerMeter : Infinity;
+    const stride = Math.ceil(30 / spacing);
+    peaks.forEach((p, j) => {
+        const m = j - m0;
+        const x = screenToPixel(p, w);
+        if (x < 10 || x > w - 10 || m % stride !== 0) return;
+        graphCtx.fillText(`m=${m}`, x, Math.max(10, top - 2));
+    });
+}
+
+function updateGratingInfo() {
+    if (state.mode !== 'grating') return;
+    const params = getParams();
+    const sp = state.screenParams;
+
+    // Orders whose maximum lands on the visible screen
+    const mMax = Math.floor(params.d / params.lambda);
+    const orders = [];
+    for (let m = -mMax; m <= mMax; m++) {
+        const x = params.L * Math.tan(Math.asin(m * params.lambda / params.d));
+        if (Math.abs(x - sp.centerInMeters) <= sp.widthInMeters / 2) orders.push(m);
+    }
+    if (orders.length === 0) {
+        els.gratingOrders.textContent = '—';
+    } else if (sp.centerInMeters === 0) {
+        const visible = orders[orders.length - 1];
+        els.gratingOrders.textContent = visible > 0 ? `m = 0, ±1 … ±${visible}` : 'm = 0';
+    } else {
+        const [lo, hi] = [orders[0], orders[orders.length - 1]];
+        els.gratingOrders.textContent = lo === hi ? `m = ${lo}` : `m = ${lo} … ${hi}`;
+    }
+    els.gratingSecondary.textContent = params.N - 2;
+
+    // Central maximum, zero to zero: 2λL / (N d)
+    const width = 2 * params.lambda * params.L / (params.N * params.d);
+    els.gratingWidth.textContent = width < 1e-3 ? `${(width * 1e6).toFixed(1)} µm` : `${(width * 1e3).toFixed(2)} mm`;
+    els.gratingResolving.textContent = params.N;
+    els.gratingDLambda.textContent = `${(params.lambda * 1e9 / params.N).toFixed(3)} nm`;
+    if (isExerciseHidden('wavelength')) {
+        els.gratingWidth.textContent = '?';
+        els.gratingDLambda.textContent = '?';
+    }
+
+    // The sodium D lines need R = λ/Δλ ≈ 589.3 / 0.6 ≈ 982
+    const doubletLambda = 589.3e-9;
+    const needed = Math.ceil(doubletLambda / (0.6e-9 * params.N));
+    els.gratingDoublet.textContent = needed <= Math.floor(params.d / doubletLambda)
+        ? `m = ${needed} (R = ${needed * params.N})`
+        : 'ayrılamaz';
+}
+
+// --- Mask Editor ---
+
+// Rebuilds the open-cell list after an edit and redraws everything
+function updateMask() {
+    const open = [];
+    state.mask.cells.forEach((c, i) => {
+        if (c) open.push((i + 0.5 - MASK_CELLS / 2) * MASK_CELL_WIDTH * 1e-3);
+    });
+    state.mask.open = open;
+    els.maskOpen.textContent = `${(open.length * MASK_CELL_WIDTH).toFixed(2)} mm (${open.length} hücre)`;
+
+    drawMask();
+    draw();
+    drawSetup();
+}
+
+// Double slit from the a and d sliders, snapped to the cell grid
+function copySlitsToMask() {
+    const cells = state.mask.cells;
+    cells.fill(0);
+
+    const width = Math.max(1, Math.round(state.slitWidth / MASK_CELL_WIDTH));
+    [-state.slitSeparation / 2, state.slitSeparation / 2].forEach(c => {
+        const start = Math.round(c / MASK_CELL_WIDTH + MASK_CELLS / 2 - width / 2);
+        for (let i = start; i < start + width; i++) {
+            if (i >= 0 && i < MASK_CELLS) cells[i] = 1;
+        }
+    });
+}
+
+function maskCellAt(e) {
+    const rect = maskCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * maskCanvas.width / rect.width;
+    return Math.min(MASK_CELLS - 1, Math.max(0, Math.floor(x / maskCanvas.width * MASK_CELLS)));
+}
+
+function paintMaskCell(i) {
+    if (state.mask.cells[i] === state.mask.painting) return;
+    state.mask.cells[i] = state.mask.painting;
+    updateMask();
+}
+
+function drawMask() {
+    const w = maskCanvas.width;
+    const h = maskCanvas.height;
+    const cellW = w / MASK_CELLS;
+    const barH = h - 20;
+    const [r, g, b] = getSourceColor();
+
+    maskCtx.clearRect(0, 0, w, h);
+    maskCtx.fillStyle = '#94a3b8';
+    maskCtx.fillRect(0, 0, w, barH);
+
+    // Open cells let the light through
+    maskCtx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    state.mask.cells.forEach((c, i) => {
+        if (c) maskCtx.fillRect(i * cellW, 0, Math.ceil(cellW), barH);
+    });
+
+    // 0.5 mm ticks
+    maskCtx.fillStyle = '#94a3b8';
+    maskCtx.strokeStyle = '#475569';
+    maskCtx.font = '10px monospace';
+    maskCtx.textAlign = 'center';
+    const span = MASK_CELLS * MASK_CELL_WIDTH;
+    for (let mm = -span / 2; mm <= span / 2 + 1e-9; mm += 0.5) {
+        const x = (mm + span / 2) / span * w;
+        maskCtx.beginPath();
+        maskCtx.moveTo(x, barH);
+        maskCtx.lineTo(x, barH + 4);
+        maskCtx.stroke();
+        maskCtx.fillText(`${mm.toFixed(1)}`, Math.min(w - 12, Math.max(12, x)), h - 3);
+    }
 }
 
 function toggleMaximizeGraph() {
@@ -397,7 +1353,8 @@ function toggleMaximizeGraph() {
         // Reset dimensions
         graphCanvas.width = 600;
         graphCanvas.height = 300;
-        drawGraph();
+        state.spectrum = computeSpectrum(graphCanvas.width);
+        drawGraph(state.spectrum);
     }
 }
 
@@ -413,7 +1370,9 @@ function resizeGraphCanvas() {
     // Simply making canvas bigger with same physical width constant (0.2m) means 
     // we just have MORE PIXELS per cm. This is perfect for measurement.
 
-    drawGraph();
+    // Recompute at the new width so cursor drags can reuse the profiles
+    state.spectrum = computeSpectrum(graphCanvas.width);
+    drawGraph(state.spectrum);
 }
 
 function drawSetup() {
@@ -425,15 +1384,14 @@ function drawSetup() {
     const cy = h / 2; // Optical axis Y
     const slitX = 100; // Fixed slit position
 
-    // Map L (0.5 - 5.0) to screen X position (250 - 550)
-    const minL = 0.5;
+    // Map L (0 - 5.0) to screen X position (130 - 550); square root so near-field distances stay apart
     const maxL = 5.0;
-    const minScreenX = 250;
+    const minScreenX = 130;
     const maxScreenX = 550;
-    const screenX = minScreenX + ((state.screenDistance - minL) / (maxL - minL)) * (maxScreenX - minScreenX);
+    const screenX = minScreenX + Math.sqrt(state.screenDistance / maxL) * (maxScreenX - minScreenX);
 
     // Colors
-    const [r, g, b] = nmToRGB(state.wavelength);
+    const [r, g, b] = getSourceColor();
     const color = `rgb(${r},${g},${b})`;
     const waveColor = `rgba(${r},${g},${b}, 0.8)`;
 
@@ -474,54 +1432,32 @@ function drawSetup() {
     setupCtx.clip();
 
     const maxRadius = Math.sqrt(Math.pow(screenX - slitX, 2) + Math.pow(100, 2));
+    const barrierW = 6;
+    const barrierH = 140;
+    const openings = getSetupOpenings(barrierH);
 
-    if (state.mode === 'single') {
-        for (let rad = 0; rad < maxRadius; rad += waveSpacing) {
-            setupCtx.beginPath();
-            setupCtx.arc(slitX, cy, rad, -Math.PI / 2, Math.PI / 2);
-            setupCtx.stroke();
-        }
-    } else {
-        // Double Slit - visually exaggerated separation
-        const visualD = 15; // pixels
-        // Top Source
+    // Secondary wavelets from each opening (at most 7, to keep the sketch readable)
+    const sources = openings.length > 7
+        ? [0, 1, 2, 3, 4, 5, 6].map(j => openings[Math.round(j * (openings.length - 1) / 6)])
+        : openings;
+    sources.forEach(o => {
         for (let rad = 0; rad < maxRadius; rad += waveSpacing) {
             setupCtx.beginPath();
-            setupCtx.arc(slitX, cy - visualD, rad, -Math.PI / 2, Math.PI / 2);
+            setupCtx.arc(slitX, cy + o.center, rad, -Math.PI / 2, Math.PI / 2);
             setupCtx.stroke();
         }
-        // Bottom Source
-        for (let rad = 0; rad < maxRadius; rad += waveSpacing) {
-            setupCtx.beginPath();
-            setupCtx.arc(slitX, cy + visualD, rad, -Math.PI / 2, Math.PI / 2);
-            setupCtx.stroke();
-        }
-    }
+    });
     setupCtx.restore();
 
-    // 4. Slit Barrier
+    // 4. Slit Barrier: solid between the openings
     setupCtx.fillStyle = '#94a3b8';
-    const barrierW = 6;
-    const barrierH = 140;
-
-    if (state.mode === 'single') {
-        // Simple gap
-        const gap = 20;
-        // Top
-        setupCtx.fillRect(slitX - barrierW / 2, cy - barrierH / 2, barrierW, barrierH / 2 - gap / 2);
-        // Bottom
-        setupCtx.fillRect(slitX - barrierW / 2, cy + gap / 2, barrierW, barrierH / 2 - gap / 2);
-    } else {
-        // Double gap
-        const visualD = 15; // Matches wave centers
-        const gap = 8;
-        // Top solid
-        setupCtx.fillRect(slitX - barrierW / 2, cy - barrierH / 2, barrierW, barrierH / 2 - visualD - gap / 2);
-        // Middle solid
-        setupCtx.fillRect(slitX - barrierW / 2, cy - visualD + gap / 2, barrierW, (visualD * 2) - gap);
-        // Bottom solid
-        setupCtx.fillRect(slitX - barrierW / 2, cy + visualD + gap / 2, barrierW, barrierH / 2 - visualD - gap / 2);
-    }
+    let edge = -barrierH / 2;
+    openings.forEach(o => {
+        const top = Math.max(edge, o.center - o.gap / 2);
+        setupCtx.fillRect(slitX - barrierW / 2, cy + edge, barrierW, top - edge);
+        edge = Math.max(edge, o.center + o.gap / 2);
+    });
+    setupCtx.fillRect(slitX - barrierW / 2, cy + edge, barrierW, barrierH / 2 - edge);
 
     // 5. Screen
     setupCtx.fillStyle = '#e2e8f0';
@@ -548,14 +1484,904 @@ function drawSetup() {
     setupCtx.beginPath(); setupCtx.moveTo(screenX - 5, labelY - 3); setupCtx.lineTo(screenX, labelY); setupCtx.lineTo(screenX - 5, labelY + 3); setupCtx.stroke();
 
     setupCtx.textAlign = 'center';
-    setupCtx.fillText(`L = ${state.screenDistance.toFixed(1)} m`, (slitX + screenX) / 2, labelY + 15);
+    setupCtx.fillText(`L = ${state.screenDistance.toFixed(2)} m`, (slitX + screenX) / 2, labelY + 15);
 
     // Slit params text
     setupCtx.textAlign = 'left';
-    setupCtx.fillText(`a = ${state.slitWidth.toFixed(2)} mm`, slitX - 20, cy - 80);
+    if (state.mode === 'aperture2d') {
+        setupCtx.fillText(`D = ${state.aperture.size.toFixed(2)} mm`, slitX - 20, cy - 80);
+        return;
+    }
+    setupCtx.fillText(`a = ${isExerciseHidden('slitWidth') ? '?' : state.slitWidth.toFixed(2)} mm`, slitX - 20, cy - 80);
     if (state.mode === 'double') {
         setupCtx.fillText(`d = ${state.slitSeparation.toFixed(2)} mm`, slitX - 20, cy - 95);
+    } else if (state.mode === 'grating') {
+        setupCtx.fillText(`d = ${state.slitSeparation.toFixed(2)} mm, N = ${state.slitCount}`, slitX - 20, cy - 95);
+    }
+}
+
+/**
+ * Openings of the barrier in the schematic as {center, gap} pixel offsets
+ * from the axis, top to bottom. Separations are visually exaggerated except
+ * for the mask, which is drawn to scale over the barrier height.
+ */
+function getSetupOpenings(barrierH) {
+    if (state.mode === 'single' || state.mode === 'aperture2d') return [{ center: 0, gap: 20 }];
+    if (state.mode === 'double') return [{ center: -15, gap: 8 }, { center: 15, gap: 8 }];
+
+    if (state.mode === 'grating') {
+        // Sketch at most 11 slits; larger gratings look the same at this size
+        const n = Math.min(state.slitCount, 11);
+        const spacing = Math.min(30, 110 / (n - 1));
+        const openings = [];
+        for (let j = 0; j < n; j++) {
+            openings.push({ center: (j - (n - 1) / 2) * spacing, gap: Math.max(2, spacing * 0.4) });
+        }
+        return openings;
     }
+
+    // Custom mask: runs of open cells
+    const cellH = barrierH / MASK_CELLS;
+    const openings = [];
+    let start = -1;
+    for (let i = 0; i <= MASK_CELLS; i++) {
+        const isOpen = i < MASK_CELLS && state.mask.cells[i];
+        if (isOpen && start < 0) start = i;
+        if (!isOpen && start >= 0) {
+            openings.push({ center: ((start + i) / 2 - MASK_CELLS / 2) * cellH, gap: (i - start) * cellH });
+            start = -1;
+        }
+    }
+    return openings;
+}
+
+// --- Measurement ---
+
+// Canvas pixel column under the mouse, for canvases scaled by CSS
+function canvasX(canvas, e) {
+    const rect = canvas.getBoundingClientRect();
+    return (e.clientX - rect.left) * canvas.width / rect.width;
+}
+
+// A and B a sixth of the view on either side of its center
+function resetCursors() {
+    const sp = state.screenParams;
+    state.cursors.positions = [sp.centerInMeters - sp.widthInMeters / 6, sp.centerInMeters + sp.widthInMeters / 6];
+}
+
+function moveCursor(canvas, px) {
+    let x = pixelToScreen(px, canvas.width);
+    if (state.cursors.snap) {
+        const candidates = state.extrema.maxima.concat(state.extrema.minima);
+        let best = SNAP_DISTANCE;
+        candidates.forEach(c => {
+            const distance = Math.abs(screenToPixel(c, canvas.width) - px);
+            if (distance < best) {
+                best = distance;
+                x = c;
+            }
+        });
+    }
+    state.cursors.positions[state.cursors.dragging] = x;
+    redrawScreen();
+}
+
+/**
+ * Local maxima and minima of a profile as screen positions (m). Each is
+ * refined with a parabola through its neighbors, so that spacings can be
+ * measured more finely than a pixel.
+ */
+function findExtrema(profile) {
+    const w = profile.length;
+    const maxima = [];
+    const minima = [];
+    for (let i = 1; i < w - 1; i++) {
+        const left = profile[i - 1];
+        const mid = profile[i];
+        const right = profile[i + 1];
+        const isMax = mid > left && mid >= right;
+        const isMin = mid < left && mid <= right;
+        if (!isMax && !isMin) continue;
+
+        const curvature = left - 2 * mid + right;
+        const offset = curvature !== 0 ? Math.max(-0.5, Math.min(0.5, (left - right) / (2 * curvature))) : 0;
+        (isMax ? maxima : minima).push(pixelToScreen(i + offset, w));
+    }
+    return { maxima: maxima, minima: minima };
+}
+
+// Maxima marked above the curve, minima on the axis
+function drawExtrema(profile, bottomPad, graphHeight) {
+    const w = graphCanvas.width;
+    const h = graphCanvas.height;
+    const columns = profile.length;
+    graphCtx.fillStyle = '#facc15';
+    state.extrema.maxima.forEach(x => {
+        const px = screenToPixel(x, w);
+        const value = profile[Math.min(columns - 1, Math.max(0, Math.round(screenToPixel(x, columns))))];
+        const y = (h - bottomPad) - value * graphHeight - 4;
+        graphCtx.beginPath();
+        graphCtx.moveTo(px, y);
+        graphCtx.lineTo(px - 3, y - 5);
+        graphCtx.lineTo(px + 3, y - 5);
+        graphCtx.fill();
+    });
+    graphCtx.fillStyle = '#94a3b8';
+    state.extrema.minima.forEach(x => {
+        graphCtx.beginPath();
+        graphCtx.arc(screenToPixel(x, w), h - bottomPad, 2, 0, 2 * Math.PI);
+        graphCtx.fill();
+    });
+}
+
+// Vertical lines for A and B from the top of the canvas down to bottom
+function drawCursors(ctx, w, bottom) {
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'left';
+    state.cursors.positions.forEach((pos, j) => {
+        const x = screenToPixel(pos, w);
+        if (x < 0 || x > w) return;
+        ctx.strokeStyle = CURSOR_COLORS[j];
+        ctx.fillStyle = CURSOR_COLORS[j];
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.fillText(j === 0 ? 'A' : 'B', x + 3, 12);
+    });
+    ctx.restore();
+}
+
+function formatMm(x) {
+    return `${(x * 1e3).toFixed(3)} mm`;
+}
+
+// Mean spacing of neighboring extrema, the quantity the fringe formulas predict
+function describeExtrema(positions) {
+    if (positions.length < 2) return `${positions.length}`;
+    const spacing = (positions[positions.length - 1] - positions[0]) / (positions.length - 1);
+    return `${positions.length} (${formatMm(spacing)})`;
+}
+
+function updateMeasureInfo() {
+    const [a, b] = state.cursors.positions;
+    els.cursorA.textContent = formatMm(a);
+    els.cursorB.textContent = formatMm(b);
+    els.cursorDelta.textContent = formatMm(Math.abs(b - a));
+    els.maximaInfo.textContent = describeExtrema(state.extrema.maxima);
+    els.minimaInfo.textContent = describeExtrema(state.extrema.minima);
+}
+
+// --- Measurement Exercise ---
+
+function isExerciseHidden(target) {
+    return state.exercise.active && state.exercise.target === target;
+}
+
+function formatExerciseValue(target, value) {
+    return target === 'wavelength' ? `λ = ${value} nm` : `a = ${value.toFixed(2)} mm`;
+}
+
+function showExerciseFeedback(text, kind) {
+    els.exerciseFeedback.textContent = text;
+    els.exerciseFeedback.classList.toggle('success', kind === 'success');
+    els.exerciseFeedback.classList.toggle('error', kind === 'error');
+}
+
+// Hides a random λ or a behind the sliders and readouts
+function startExercise() {
+    const ex = state.exercise;
+    const target = els.exerciseTarget.value;
+    if (target === 'slitWidth' && state.mode === 'custom') {
+        showExerciseFeedback('Yarık genişliği için tek yarık, çift yarık veya ağ modunu seçin.', 'error');
+        return;
+    }
+
+    ex.active = true;
+    ex.target = target;
+    ex.attempts = 0;
+    if (target === 'wavelength') {
+        ex.value = 400 + Math.round(Math.random() * 300);
+        state.wavelength = ex.value;
+        // The question assumes a single wavelength
+        state.source = 'mono';
+        els.sourceType.value = 'mono';
+        updateSourceControls();
+    } else {
+        ex.value = (5 + Math.round(Math.random() * 30)) / 100;
+        state.slitWidth = ex.value;
+    }
+
+    els.exerciseAnswer.value = '';
+    showExerciseFeedback('Saçak aralığını imleçlerle ölçün ve gizli değeri hesaplayın.', '');
+    updateExerciseControls();
+    draw();
+    drawSetup();
+}
+
+function checkExercise() {
+    const ex = state.exercise;
+    if (!ex.active) return;
+    const answer = parseFloat(els.exerciseAnswer.value);
+    if (!(answer > 0)) {
+        showExerciseFeedback('Pozitif bir sayı girin.', 'error');
+        return;
+    }
+
+    ex.attempts++;
+    const error = (answer - ex.value) / ex.value;
+    if (Math.abs(error) <= EXERCISE_TOLERANCE) {
+        showExerciseFeedback(`Doğru! ${formatExerciseValue(ex.target, ex.value)} (hata %${(Math.abs(error) * 100).toFixed(1)}, ${ex.attempts}. deneme)`, 'success');
+        endExercise();
+    } else {
+        showExerciseFeedback(`Tolerans (±%${EXERCISE_TOLERANCE * 100}) dışında: cevabınız çok ${error > 0 ? 'büyük' : 'küçük'}. Ölçümünüzü ve birimleri kontrol edin.`, 'error');
+    }
+}
+
+function endExercise() {
+    state.exercise.active = false;
+    updateExerciseControls();
+    draw();
+    drawSetup();
+}
+
+// Sliders and labels of the hidden quantity show "?" and cannot be moved
+function updateExerciseControls() {
+    const ex = state.exercise;
+    const hideLambda = isExerciseHidden('wavelength');
+    const hideWidth = isExerciseHidden('slitWidth');
+
+    els.wavelength.disabled = hideLambda;
+    els.wavelength.style.visibility = hideLambda ? 'hidden' : '';
+    els.wavelengthVal.textContent = hideLambda ? '?' : state.wavelength;
+    if (!hideLambda) els.wavelength.value = state.wavelength;
+    els.sourceType.disabled = hideLambda;
+
+    els.slitWidth.disabled = hideWidth;
+    els.slitWidth.style.visibility = hideWidth ? 'hidden' : '';
+    els.slitWidthVal.textContent = hideWidth ? '?' : state.slitWidth.toFixed(2);
+    if (!hideWidth) els.slitWidth.value = state.slitWidth;
+
+    els.exercisePanel.style.display = ex.active ? '' : 'none';
+    els.exerciseUnit.textContent = ex.target === 'wavelength' ? 'nm' : 'mm';
+    els.btnExerciseNew.textContent = ex.active ? 'Yeni Değer' : 'Yeni Alıştırma';
+}
+
+// --- Single-Particle Build-Up ---
+
+function resetPhotons() {
+    const ph = state.photons;
+    ph.count = 0;
+    ph.carry = 0;
+    ph.image = new Float32Array(patternCanvas.width * patternCanvas.height * 3);
+    ph.histogram = new Uint32Array(PHOTON_BINS);
+    els.photonCount.textContent = '0';
+}
+
+function setPhotonsRunning(running) {
+    const ph = state.photons;
+    const wasRunning = ph.running;
+    ph.running = running && ph.enabled;
+    els.btnPhotonRun.textContent = ph.running ? 'Duraklat' : 'Başlat';
+    if (ph.running && !wasRunning) {
+        ph.lastTime = null;
+        requestAnimationFrame(photonLoop);
+    }
+}
+
+/**
+ * Hits are drawn column by column from the total intensity on the pattern
+ * canvas. A new distribution clears the screen, since the old hits belong to
+ * another experiment.
+ */
+function updatePhotonDistribution(spectrum) {
+    const ph = state.photons;
+    const total = spectrum.total;
+    const previous = ph.distribution ? ph.distribution.spectrum.total : null;
+    const unchanged = previous && previous.length === total.length &&
+        previous.every((v, i) => Math.abs(v - total[i]) < 1e-6);
+    if (!unchanged) resetPhotons();
+
+    const cdf = new Float64Array(total.length);
+    let sum = 0;
+    total.forEach((v, i) => {
+        sum += v;
+        cdf[i] = sum;
+    });
+    ph.distribution = { spectrum: spectrum, cdf: cdf };
+}
+
+// Pattern position (fractional pixel column) of one hit, and the line that made it
+function samplePhotonHit() {
+    const { spectrum, cdf } = state.photons.distribution;
+    const u = Math.random() * cdf[cdf.length - 1];
+    let lo = 0;
+    let hi = cdf.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (cdf[mid] < u) lo = mid + 1;
+        else hi = mid;
+    }
+
+    // Each line contributes to the column in proportion to its weighted intensity
+    const lines = spectrum.lines;
+    let pick = Math.random() * spectrum.total[lo] / spectrum.scale;
+    let line = lines[lines.length - 1];
+    for (const candidate of lines) {
+        pick -= candidate.weight * candidate.profile[lo];
+        if (pick <= 0) {
+            line = candidate;
+            break;
+        }
+    }
+    return { x: lo + Math.random(), lambda: line.lambda };
+}
+
+// Adds n hits as 2×2 dots at random heights and to the histogram
+function addPhotons(n) {
+    const ph = state.photons;
+    const cdf = ph.distribution.cdf;
+    if (cdf[cdf.length - 1] <= 0) return;
+
+    const w = patternCanvas.width;
+    const h = patternCanvas.height;
+    for (let k = 0; k < n; k++) {
+        const hit = samplePhotonHit();
+        const color = nmToRGB(hit.lambda);
+        const col = Math.min(w - 2, Math.floor(hit.x));
+        const row = Math.floor(Math.random() * (h - 1));
+        [0, 1].forEach(dy => {
+            [0, 1].forEach(dx => {
+                const idx = ((row + dy) * w + col + dx) * 3;
+                ph.image[idx] += color[0] / 255;
+                ph.image[idx + 1] += color[1] / 255;
+                ph.image[idx + 2] += color[2] / 255;
+            });
+        });
+        ph.histogram[Math.min(PHOTON_BINS - 1, Math.floor(hit.x / w * PHOTON_BINS))]++;
+        ph.count++;
+    }
+    els.photonCount.textContent = ph.count;
+}
+
+function photonLoop(time) {
+    const ph = state.photons;
+    if (!ph.running) return;
+
+    const dt = ph.lastTime === null ? 0 : Math.min(0.1, (time - ph.lastTime) / 1000);
+    ph.lastTime = time;
+    ph.carry += ph.rate * dt;
+    const n = Math.floor(ph.carry);
+    ph.carry -= n;
+
+    if (n > 0 && ph.distribution) {
+        addPhotons(n);
+        drawPhotonPattern();
+        const spectrum = ph.distribution.spectrum;
+        drawGraph(spectrum.total.length === graphCanvas.width ? spectrum : null);
+    }
+    requestAnimationFrame(photonLoop);
+}
+
+// Dark screen with the accumulated hits; overlapping dots saturate toward the hit color
+function drawPhotonPattern() {
+    const w = patternCanvas.width;
+    const h = patternCanvas.height;
+    const image = state.photons.image;
+    const imgData = patternCtx.createImageData(w, h);
+    const data = imgData.data;
+
+    for (let p = 0; p < w * h; p++) {
+        const level = Math.max(image[p * 3], image[p * 3 + 1], image[p * 3 + 2]);
+        if (level <= 0) continue;
+        data[p * 4] = Math.round(image[p * 3] / level * 255);
+        data[p * 4 + 1] = Math.round(image[p * 3 + 1] / level * 255);
+        data[p * 4 + 2] = Math.round(image[p * 3 + 2] / level * 255);
+        data[p * 4 + 3] = Math.round(255 * (1 - Math.exp(-PHOTON_EXPOSURE * level)));
+    }
+    patternCtx.putImageData(imgData, 0, 0);
+    drawCursors(patternCtx, w, h);
+}
+
+/**
+ * Hit counts as bars behind the intensity curve. A bin is scaled by the
+ * expected count of a bin of intensity 1, so the bars settle on the curve.
+ */
+function drawPhotonHistogram(bottomPad, graphHeight) {
+    const ph = state.photons;
+    if (ph.count === 0 || !ph.distribution) return;
+
+    const w = graphCanvas.width;
+    const h = graphCanvas.height;
+    const cdf = ph.distribution.cdf;
+    const columnsPerBin = cdf.length / PHOTON_BINS;
+    const unit = ph.count * columnsPerBin / cdf[cdf.length - 1];
+    const barW = w / PHOTON_BINS;
+
+    graphCtx.fillStyle = 'rgba(250, 204, 21, 0.35)';
+    ph.histogram.forEach((count, b) => {
+        const height = Math.min(1.05, count / unit) * graphHeight;
+        graphCtx.fillRect(b * barW, h - bottomPad - height, Math.max(1, barW - 1), height);
+    });
+}
+
+// --- Cornu Spiral ---
+
+/**
+ * The Cornu spiral (C(v), S(v)) with the arc of every slit for the chosen
+ * screen point highlighted. The chord of each arc is that slit's amplitude;
+ * their vector sum gives the intensity at the point.
+ */
+function drawCornu() {
+    const w = cornuCanvas.width;
+    const h = cornuCanvas.height;
+    const scale = w * 0.38; // the spiral spans about ±0.8 in C and S
+    const toX = c => w / 2 + c * scale;
+    const toY = sv => h / 2 - sv * scale;
+
+    cornuCtx.clearRect(0, 0, w, h);
+
+    // Axes
+    cornuCtx.strokeStyle = '#334155';
+    cornuCtx.lineWidth = 1;
+    cornuCtx.beginPath();
+    cornuCtx.moveTo(0, h / 2);
+    cornuCtx.lineTo(w, h / 2);
+    cornuCtx.moveTo(w / 2, 0);
+    cornuCtx.lineTo(w / 2, h);
+    cornuCtx.stroke();
+
+    const trace = (v0, v1, color, width) => {
+        cornuCtx.strokeStyle = color;
+        cornuCtx.lineWidth = width;
+        cornuCtx.beginPath();
+        const n = Math.max(2, Math.ceil(Math.abs(v1 - v0) * 40));
+        for (let i = 0; i <= n; i++) {
+            const [c, sv] = fresnelCS(v0 + (v1 - v0) * i / n);
+            if (i === 0) cornuCtx.moveTo(toX(c), toY(sv));
+            else cornuCtx.lineTo(toX(c), toY(sv));
+        }
+        cornuCtx.stroke();
+    };
+    trace(-8, 8, 'rgba(148, 163, 184, 0.5)', 1);
+
+    const params = getParams();
+    const scaleV = Math.sqrt(2 / (params.lambda * params.L));
+    const [r, g, b] = getSourceColor();
+    let re = 0;
+    let im = 0;
+    const slits = getSlits(params);
+    slits.slice(0, FRESNEL_MAX_SLITS).forEach(([x1, x2]) => {
+        const v1 = Math.max(-8, Math.min(8, scaleV * (x1 - state.cornuX)));
+        const v2 = Math.max(-8, Math.min(8, scaleV * (x2 - state.cornuX)));
+        trace(v1, v2, `rgb(${r}, ${g}, ${b})`, 3);
+
+        // Chord of this slit
+        const [c1, s1] = fresnelCS(v1);
+        const [c2, s2] = fresnelCS(v2);
+        cornuCtx.strokeStyle = '#facc15';
+        cornuCtx.lineWidth = 1.5;
+        cornuCtx.beginPath();
+        cornuCtx.moveTo(toX(c1), toY(s1));
+        cornuCtx.lineTo(toX(c2), toY(s2));
+        cornuCtx.stroke();
+        re += c2 - c1;
+        im += s2 - s1;
+    });
+
+    cornuCtx.fillStyle = '#cbd5e1';
+    cornuCtx.font = '10px monospace';
+    cornuCtx.textAlign = 'left';
+    cornuCtx.fillText(`x = ${(state.cornuX * 1e3).toFixed(3)} mm`, 6, 14);
+    cornuCtx.fillText(`I/I₀ = |Σ kiriş|²/2 = ${((re * re + im * im) / 2).toFixed(3)}`, 6, 28);
+    cornuCtx.textAlign = 'right';
+    cornuCtx.fillText('C(v)', w - 6, h / 2 - 6);
+    cornuCtx.fillText('S(v)', w / 2 - 6, 12);
+}
+
+// --- 2D Apertures (Fraunhofer via FFT) ---
+
+// In-place radix-2 FFT of length n (a power of two)
+function fft(re, im, n) {
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const ang = -2 * Math.PI / len;
+        const wRe = Math.cos(ang);
+        const wIm = Math.sin(ang);
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const a = i + k;
+                const b = a + len / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+// Rows, then columns, of an n×n grid stored row-major
+function fft2d(re, im, n) {
+    const rowRe = new Float64Array(n);
+    const rowIm = new Float64Array(n);
+    for (let pass = 0; pass < 2; pass++) {
+        for (let r = 0; r < n; r++) {
+            for (let c = 0; c < n; c++) {
+                const idx = pass === 0 ? r * n + c : c * n + r;
+                rowRe[c] = re[idx];
+                rowIm[c] = im[idx];
+            }
+            fft(rowRe, rowIm, n);
+            for (let c = 0; c < n; c++) {
+                const idx = pass === 0 ? r * n + c : c * n + r;
+                re[idx] = rowRe[c];
+                im[idx] = rowIm[c];
+            }
+        }
+    }
+}
+
+/**
+ * Transmission of the selected shape on an M×M grid spanning D, with 4×4
+ * supersampling per cell so that curved edges are not staircased.
+ */
+function buildAperture(shape) {
+    const M = APERTURE_SAMPLES;
+    const t = new Float32Array(M * M);
+    if (shape === 'drawn') {
+        state.aperture.grid.forEach((v, i) => { t[i] = v; });
+        return t;
+    }
+
+    // Unit coordinates: the aperture fits in [-0.5, 0.5]²
+    const inside = (u, v) => {
+        switch (shape) {
+            case 'circle':
+                return u * u + v * v <= 0.25;
+            case 'square':
+                return Math.abs(u) <= 0.5 && Math.abs(v) <= 0.5;
+            case 'rectangle':
+                return Math.abs(u) <= 0.5 && Math.abs(v) <= 0.25;
+            case 'triangle': {
+                // Equilateral, side D, pointing up, centered on its centroid
+                const h = Math.sqrt(3) / 2;
+                const y = -v + h / 3;
+                return y >= 0 && y <= h && Math.abs(u) <= 0.5 * (1 - y / h);
+            }
+            case 'hexagonal': {
+                // Seven holes: one central, six on a ring
+                const r = 0.09;
+                const ring = 0.32;
+                if (u * u + v * v <= r * r) return true;
+                for (let j = 0; j < 6; j++) {
+                    const a = j * Math.PI / 3;
+                    const du = u - ring * Math.cos(a);
+                    const dv = v - ring * Math.sin(a);
+                    if (du * du + dv * dv <= r * r) return true;
+                }
+                return false;
+            }
+        }
+        return false;
+    };
+
+    const sub = 4;
+    for (let row = 0; row < M; row++) {
+        for (let col = 0; col < M; col++) {
+            let hits = 0;
+            for (let sy = 0; sy < sub; sy++) {
+                for (let sx = 0; sx < sub; sx++) {
+                    const u = (col + (sx + 0.5) / sub) / M - 0.5;
+                    const v = (row + (sy + 0.5) / sub) / M - 0.5;
+                    if (inside(u, v)) hits++;
+                }
+            }
+            t[row * M + col] = hits / (sub * sub);
+        }
+    }
+    return t;
+}
+
+/**
+ * Far-field intensity of the aperture, zero-padded into the FFT grid. In grid
+ * units the pattern does not depend on λ, L or D, which only set the screen
+ * scale, so it is recomputed only when the aperture or the sources change.
+ * Two incoherent point sources tilt the incident wave by ±half the separation;
+ * the phase ramp shifts each pattern by a fraction of a grid cell exactly.
+ */
+function computeFarField() {
+    const ap = state.aperture;
+    const N = FFT_SIZE;
+    const M = APERTURE_SAMPLES;
+    const t = buildAperture(ap.shape);
+    const offset = (N - M) / 2;
+
+    // θ_R = 1.22λ/D is 1.22·N/M grid cells in the far field
+    const shifts = ap.twoSources ? [-0.5, 0.5].map(f => f * ap.separation * 1.22 * N / M) : [0];
+    const intensity = new Float32Array(N * N);
+
+    shifts.forEach(shift => {
+        const re = new Float64Array(N * N);
+        const im = new Float64Array(N * N);
+        for (let row = 0; row < M; row++) {
+            for (let col = 0; col < M; col++) {
+                const phase = 2 * Math.PI * shift * (col + offset) / N;
+                const idx = (row + offset) * N + col + offset;
+                re[idx] = t[row * M + col] * Math.cos(phase);
+                im[idx] = t[row * M + col] * Math.sin(phase);
+            }
+        }
+        fft2d(re, im, N);
+
+        // Move the zero frequency to the center
+        for (let row = 0; row < N; row++) {
+            for (let col = 0; col < N; col++) {
+                const src = ((row + N / 2) % N) * N + (col + N / 2) % N;
+                intensity[row * N + col] += re[src] * re[src] + im[src] * im[src];
+            }
+        }
+    });
+
+    let max = 0;
+    intensity.forEach(v => { max = Math.max(max, v); });
+    if (max > 0) intensity.forEach((v, i) => { intensity[i] = v / max; });
+    return intensity;
+}
+
+function updateFarField() {
+    state.aperture.farField = computeFarField();
+    draw();
+}
+
+// Screen distance (m) of one far-field grid cell: λL / (N·dx), dx = D / M
+function getFarFieldCellSize() {
+    const dx = state.aperture.size * 1e-3 / APERTURE_SAMPLES;
+    return state.wavelength * 1e-9 * state.screenDistance / (FFT_SIZE * dx);
+}
+
+// Heat map from black through purple, red and yellow to white
+function falseColor(v) {
+    const stops = [[0, 0, 0], [80, 20, 120], [200, 40, 60], [250, 190, 40], [255, 255, 255]];
+    const x = Math.min(1, Math.max(0, v)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(x));
+    const f = x - i;
+    return stops[i].map((c, j) => Math.round(c + (stops[i + 1][j] - c) * f));
+}
+
+function displayValue(v) {
+    if (!state.aperture.logScale) return v;
+    return Math.max(0, 1 + Math.log10(Math.max(v, 1e-12)) / 3);
+}
+
+function drawAperture2D() {
+    const ap = state.aperture;
+    if (!ap.farField) ap.farField = computeFarField();
+
+    drawApertureGrid();
+    drawFarField();
+    drawProfiles();
+
+    const cell = getFarFieldCellSize();
+    const airy = 1.22 * state.wavelength * 1e-9 * state.screenDistance / (ap.size * 1e-3);
+    const thetaR = 1.22 * state.wavelength * 1e-9 / (ap.size * 1e-3);
+    els.airyRadius.textContent = `${(airy * 1e3).toFixed(3)} mm`;
+    els.rayleighAngle.textContent = `${(thetaR * 1e3).toFixed(3)} mrad`;
+    els.farfieldSpan.textContent = `${(cell * FARFIELD_VIEW * 1e3).toFixed(1)} mm × ${(cell * FARFIELD_VIEW * 1e3).toFixed(1)} mm`;
+}
+
+function drawApertureGrid() {
+    const ap = state.aperture;
+    const M = APERTURE_SAMPLES;
+    const w = apertureCanvas.width;
+    const cellPx = w / M;
+    const t = buildAperture(ap.shape);
+    const [r, g, b] = nmToRGB(state.wavelength);
+
+    apertureCtx.fillStyle = '#1e293b';
+    apertureCtx.fillRect(0, 0, w, w);
+    for (let row = 0; row < M; row++) {
+        for (let col = 0; col < M; col++) {
+            const v = t[row * M + col];
+            if (v === 0) continue;
+            apertureCtx.fillStyle = `rgba(${r}, ${g}, ${b}, ${v})`;
+            apertureCtx.fillRect(col * cellPx, row * cellPx, Math.ceil(cellPx), Math.ceil(cellPx));
+        }
+    }
+
+    // Editable grid
+    if (ap.shape === 'drawn') {
+        apertureCtx.strokeStyle = 'rgba(148, 163, 184, 0.15)';
+        apertureCtx.lineWidth = 1;
+        for (let i = 1; i < M; i++) {
+            apertureCtx.beginPath();
+            apertureCtx.moveTo(i * cellPx, 0);
+            apertureCtx.lineTo(i * cellPx, w);
+            apertureCtx.moveTo(0, i * cellPx);
+            apertureCtx.lineTo(w, i * cellPx);
+            apertureCtx.stroke();
+        }
+    }
+
+    apertureCtx.fillStyle = '#94a3b8';
+    apertureCtx.font = '10px monospace';
+    apertureCtx.textAlign = 'left';
+    apertureCtx.fillText(`D = ${ap.size.toFixed(2)} mm`, 5, w - 5);
+}
+
+function drawFarField() {
+    const ap = state.aperture;
+    const N = FFT_SIZE;
+    const w = farfieldCanvas.width;
+    const h = farfieldCanvas.height;
+    const start = (N - FARFIELD_VIEW) / 2;
+    const [r, g, b] = nmToRGB(state.wavelength);
+
+    const imgData = farfieldCtx.createImageData(w, h);
+    const data = imgData.data;
+    for (let y = 0; y < h; y++) {
+        const row = start + Math.floor(y * FARFIELD_VIEW / h);
+        for (let x = 0; x < w; x++) {
+            const col = start + Math.floor(x * FARFIELD_VIEW / w);
+            const v = displayValue(ap.farField[row * N + col]);
+            const idx = (y * w + x) * 4;
+            if (ap.colorMap === 'false') {
+                const [fr, fg, fb] = falseColor(v);
+                data[idx] = fr;
+                data[idx + 1] = fg;
+                data[idx + 2] = fb;
+                data[idx + 3] = 255;
+            } else {
+                data[idx] = r;
+                data[idx + 1] = g;
+                data[idx + 2] = b;
+                data[idx + 3] = Math.floor(v * 255);
+            }
+        }
+    }
+    farfieldCtx.clearRect(0, 0, w, h);
+    farfieldCtx.putImageData(imgData, 0, 0);
+
+    // Airy radius for reference
+    if (ap.shape === 'circle') {
+        const px = 1.22 * N / APERTURE_SAMPLES * w / FARFIELD_VIEW;
+        farfieldCtx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        farfieldCtx.setLineDash([3, 3]);
+        farfieldCtx.beginPath();
+        farfieldCtx.arc(w / 2, h / 2, px, 0, Math.PI * 2);
+        farfieldCtx.stroke();
+        farfieldCtx.setLineDash([]);
+    }
+}
+
+/**
+ * Radial profile (azimuthal average about the center) and horizontal line
+ * profile through the center, both against screen distance in mm.
+ */
+function drawProfiles() {
+    const ap = state.aperture;
+    const N = FFT_SIZE;
+    const w = profileCanvas.width;
+    const h = profileCanvas.height;
+    const pad = { left: 40, right: 10, top: 15, bottom: 30 };
+    const box = { x: pad.left, y: pad.top, w: w - pad.left - pad.right, h: h - pad.top - pad.bottom };
+    const half = FARFIELD_VIEW / 2;
+    const cellMm = getFarFieldCellSize() * 1e3;
+    const c = N / 2;
+
+    // Horizontal line through the center
+    const line = [];
+    for (let i = -half; i < half; i++) line.push(ap.farField[c * N + c + i]);
+
+    // Azimuthal average in one-cell rings
+    const sums = new Float64Array(half);
+    const counts = new Float64Array(half);
+    for (let dy = -half; dy < half; dy++) {
+        for (let dx = -half; dx < half; dx++) {
+            const ring = Math.round(Math.sqrt(dx * dx + dy * dy));
+            if (ring >= half) continue;
+            sums[ring] += ap.farField[(c + dy) * N + c + dx];
+            counts[ring]++;
+        }
+    }
+
+    profileCtx.clearRect(0, 0, w, h);
+    profileCtx.strokeStyle = '#475569';
+    profileCtx.lineWidth = 1;
+    profileCtx.beginPath();
+    profileCtx.moveTo(box.x, box.y);
+    profileCtx.lineTo(box.x, box.y + box.h);
+    profileCtx.lineTo(box.x + box.w, box.y + box.h);
+    profileCtx.stroke();
+
+    // Shared x axis from -half to +half cells; the radial profile uses r ≥ 0
+    const toX = cells => box.x + (cells + half) / (2 * half) * box.w;
+    const toY = v => box.y + box.h - displayValue(v) * box.h;
+
+    profileCtx.fillStyle = '#94a3b8';
+    profileCtx.font = '10px monospace';
+    profileCtx.textAlign = 'center';
+    const spanMm = half * cellMm;
+    const step = spanMm > 20 ? 10 : spanMm > 5 ? 2 : spanMm > 2 ? 1 : spanMm > 1 ? 0.5 : 0.1;
+    for (let mm = -Math.floor(spanMm / step) * step; mm <= spanMm; mm += step) {
+        profileCtx.fillText(mm.toFixed(step < 1 ? 1 : 0), toX(mm / cellMm), box.y + box.h + 12);
+    }
+    profileCtx.fillText('Ekranda konum (mm)', box.x + box.w / 2, h - 3);
+
+    const [r, g, b] = nmToRGB(state.wavelength);
+    profileCtx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+    profileCtx.lineWidth = 2;
+    profileCtx.beginPath();
+    line.forEach((v, i) => {
+        if (i === 0) profileCtx.moveTo(toX(i - half), toY(v));
+        else profileCtx.lineTo(toX(i - half), toY(v));
+    });
+    profileCtx.stroke();
+
+    profileCtx.strokeStyle = '#e2e8f0';
+    profileCtx.setLineDash([4, 3]);
+    profileCtx.beginPath();
+    for (let i = 0; i < half; i++) {
+        const v = counts[i] > 0 ? sums[i] / counts[i] : 0;
+        if (i === 0) profileCtx.moveTo(toX(i), toY(v));
+        else profileCtx.lineTo(toX(i), toY(v));
+    }
+    profileCtx.stroke();
+    profileCtx.setLineDash([]);
+
+    // First Airy zero, 1.22 N/M cells from the center
+    if (ap.shape === 'circle') {
+        const zero = 1.22 * N / APERTURE_SAMPLES;
+        profileCtx.strokeStyle = 'rgba(248, 113, 113, 0.7)';
+        [-zero, zero].forEach(z => {
+            profileCtx.beginPath();
+            profileCtx.moveTo(toX(z), box.y);
+            profileCtx.lineTo(toX(z), box.y + box.h);
+            profileCtx.stroke();
+        });
+    }
+
+    profileCtx.textAlign = 'right';
+    profileCtx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    profileCtx.fillText('Yatay kesit', box.x + box.w, box.y + 10);
+    profileCtx.fillStyle = '#e2e8f0';
+    profileCtx.fillText('Radyal ortalama (r ≥ 0)', box.x + box.w, box.y + 22);
+    if (ap.shape === 'circle') {
+        profileCtx.fillStyle = 'rgba(248, 113, 113, 0.9)';
+        profileCtx.fillText('İlk karanlık halka 1.22λL/D', box.x + box.w, box.y + 34);
+    }
+}
+
+function apertureCellAt(e) {
+    const rect = apertureCanvas.getBoundingClientRect();
+    const M = APERTURE_SAMPLES;
+    const col = Math.floor((e.clientX - rect.left) / rect.width * M);
+    const row = Math.floor((e.clientY - rect.top) / rect.height * M);
+    return Math.min(M - 1, Math.max(0, row)) * M + Math.min(M - 1, Math.max(0, col));
+}
+
+function paintApertureCell(i) {
+    const ap = state.aperture;
+    if (ap.grid[i] === ap.painting) return;
+    ap.grid[i] = ap.painting;
+    updateFarField();
 }
 
 // Start
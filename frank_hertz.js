@@ -2,32 +2,114 @@ const tubeCanvas = document.getElementById('tubeCanvas');
 const tubeCtx = tubeCanvas.getContext('2d');
 const graphCanvas = document.getElementById('graphCanvas');
 const graphCtx = graphCanvas.getContext('2d');
+const uvCanvas = document.getElementById('uvCanvas');
+const uvCtx = uvCanvas.getContext('2d');
 
 // Physics Constants
-const EXCITATION_ENERGY = 4.9; // eV (Mercury)
-const CONTACT_POTENTIAL = 2.0; // V
+const BOLTZMANN = 1.380649e-23; // J/K
+const TUBE_LENGTH = 8e-3; // m, cathode to grid
+const GAP_LENGTH = 1e-3; // m, grid to anode
+const ROOM_TEMPERATURE = 25; // °C, sealed noble-gas tubes are not heated
+const GLOW_BINS = 80; // excitation positions along the cathode–grid space
+const GLOW_GAIN = 6; // layer opacity per excitation per electron in a bin
+const ELASTIC_DEFLECTION = 0.25; // rad, rms tilt per elastic collision
+const CATHODE_KT = 0.1; // eV, thermal energy of the emitted electrons
+const MC_BATCH = 400; // simulated electrons per frame, added to the running tally
+const CHILD_CONSTANT = 0.2; // current units per V^1.5
+const SMOOTH_HALF_WIDTH = 2; // points on each side when looking for peaks
+const PEAK_HYSTERESIS = 0.08; // relative change that confirms a maximum or minimum
+const PEAK_FIT_FRACTION = 0.03; // half-width of the vertex fit, as a fraction of the peak spacing
+
+/**
+ * Tube fillings. excitation is the level the electrons lose their energy to
+ * (eV); sigmaExcitation is reached excitationRise eV above it; sigmaElastic
+ * covers large-angle scattering behind the grid. Mercury is a vapor whose
+ * pressure follows the oven, the noble gases are sealed in at a fixed
+ * pressure. glow is the color of the de-excitation light and glowStrength how
+ * visible it is (the Hg line is ultraviolet). line is the wavelength (nm) the
+ * emission detector is filtered for.
+ */
+const GASES = {
+    mercury: {
+        name: 'Cıva (Hg)',
+        excitation: 4.9,
+        contactPotential: 2.0,
+        sigmaExcitation: 2e-20,
+        excitationRise: 1.0,
+        sigmaElastic: 1.5e-20,
+        fillPressure: null, // from the oven temperature, see vaporPressure
+        defaultRetard: 1.5,
+        glow: [0, 188, 212],
+        glowStrength: 0,
+        line: 253.7, // 6³P₁ → 6¹S₀
+        info: 'V<sub>hız</sub> arttıkça akım artar, ancak 4.9 V katlarında keskin düşüşler görülür. Bu, elektronların Hg atomlarıyla esnek olmayan çarpışma yaparak enerjilerinin çoğunu (4.9 eV) kaybetmesinden kaynaklanır.'
+    },
+    neon: {
+        name: 'Neon (Ne)',
+        excitation: 18.7,
+        contactPotential: 1.5,
+        sigmaExcitation: 8e-21,
+        excitationRise: 2.0,
+        sigmaElastic: 5e-21,
+        fillPressure: 1000, // Pa (10 hPa)
+        defaultRetard: 7.0,
+        glow: [255, 90, 30],
+        glowStrength: 1,
+        line: 585.2, // strongest 3p → 3s line
+        info: 'Neon atomları yaklaşık 18.7 eV ile 3p düzeylerine uyarılır ve 3s düzeylerine inerken turuncu-kırmızı ışık yayar. Elektronlar bu enerjiye ulaştıkları yerde çarpışır; her yeni akım minimumunda katot ile ızgara arasında yeni bir ışıma katmanı belirir.'
+    },
+    argon: {
+        name: 'Argon (Ar)',
+        excitation: 11.6,
+        contactPotential: 2.5,
+        sigmaExcitation: 1e-20,
+        excitationRise: 1.5,
+        sigmaElastic: 8e-21,
+        fillPressure: 600, // Pa
+        defaultRetard: 5.0,
+        glow: [150, 110, 255],
+        glowStrength: 0.35,
+        line: 106.7, // 4s resonance line, vacuum UV
+        info: 'Argon atomlarının ilk uyarılmış (4s) düzeyleri yaklaşık 11.6 eV yukarıdadır; akım düşüşleri bu aralıkla tekrarlanır. Yayılan ışığın çoğu morötesi olduğundan tüp yalnızca soluk mor parlar.'
+    }
+};
 
 // State
 let state = {
+    gas: 'mercury', // key of GASES
     vAcc: 0, // U2
     vRet: 1.5, // U3
     temperature: 180, // T
     current: 0,
+    emission: 0, // photon rate at the detector
     electrons: [],
     collisions: [],
+    tally: { key: '', sent: 0, collected: 0, excitations: 0, glow: new Float32Array(GLOW_BINS) }, // Monte Carlo electrons at the current settings
     autoScanning: false,
-    history: []
+    history: [], // {x: U2, y: current, uv: emission}
+    analysis: null // result of analyzeCurve, or {error}
 };
 
 // UI Elements
 const accVoltageSlider = document.getElementById('accVoltage');
 const retVoltageSlider = document.getElementById('retVoltage');
 const tempSlider = document.getElementById('temperature');
+const gasSelect = document.getElementById('gasSelect');
+const infoText = document.getElementById('infoText');
+const uvLabel = document.getElementById('uvLabel');
 const accDisplay = document.getElementById('accVoltageDisplay');
 const retDisplay = document.getElementById('retVoltageDisplay');
 const tempDisplay = document.getElementById('tempDisplay');
+const pressureLabel = document.getElementById('pressureLabel');
+const pressureDisplay = document.getElementById('pressureDisplay');
+const tempInfo = document.getElementById('tempInfo');
+const OVEN_TOOLTIP = tempInfo.dataset.tooltip; // the mercury oven text from the page
+const freePathDisplay = document.getElementById('freePathDisplay');
 const resetBtn = document.getElementById('resetBtn');
 const autoScanBtn = document.getElementById('autoScanBtn');
+const analyzeBtn = document.getElementById('analyzeBtn');
+const exportBtn = document.getElementById('exportBtn');
+const analysisResults = document.getElementById('analysisResults');
 
 // Resizing
 function resizeCanvases() {
@@ -35,6 +117,8 @@ function resizeCanvases() {
     tubeCanvas.height = tubeCanvas.offsetHeight;
     graphCanvas.width = graphCanvas.offsetWidth;
     graphCanvas.height = graphCanvas.offsetHeight;
+    uvCanvas.width = uvCanvas.offsetWidth;
+    uvCanvas.height = uvCanvas.offsetHeight;
 }
 window.addEventListener('resize', resizeCanvases);
 resizeCanvases();
@@ -47,16 +131,36 @@ accVoltageSlider.addEventListener('input', () => {
     if (state.autoScanning) stopAutoScan();
 });
 retVoltageSlider.addEventListener('input', updateStateFromDOM);
+gasSelect.addEventListener('change', () => {
+    state.gas = gasSelect.value;
+    const gas = GASES[state.gas];
+    retVoltageSlider.value = gas.defaultRetard;
+    // Only the mercury tube sits in an oven
+    tempSlider.disabled = gas.fillPressure !== null;
+    infoText.innerHTML = gas.info;
+    uvLabel.textContent = `Işıma (${gas.line} nm)`;
+    pressureLabel.textContent = gas.fillPressure === null ? 'Hg Buhar Basıncı' : `${gas.name} Dolum Basıncı`;
+    tempInfo.dataset.tooltip = gas.fillPressure === null
+        ? OVEN_TOOLTIP
+        : 'Soy gaz tüpü ısıtılmaz: gaz, oda sıcaklığında sabit basınçla doldurulmuştur. Fırın ayarı yalnızca cıva tüpü için geçerlidir.';
+    clearHistory();
+    state.electrons = [];
+    state.collisions = [];
+    updateStateFromDOM();
+});
 tempSlider.addEventListener('input', updateStateFromDOM);
 
 resetBtn.addEventListener('click', () => {
     accVoltageSlider.value = 0;
-    state.history = [];
+    clearHistory();
     state.electrons = [];
     stopAutoScan();
     updateStateFromDOM();
 });
 
+analyzeBtn.addEventListener('click', analyzeCurve);
+exportBtn.addEventListener('click', exportCsv);
+
 autoScanBtn.addEventListener('click', () => {
     if (state.autoScanning) {
         stopAutoScan();
@@ -68,18 +172,26 @@ autoScanBtn.addEventListener('click', () => {
 function updateStateFromDOM() {
     state.vAcc = parseFloat(accVoltageSlider.value);
     state.vRet = parseFloat(retVoltageSlider.value);
-    state.temperature = parseFloat(tempSlider.value);
+    state.temperature = GASES[state.gas].fillPressure === null ? parseFloat(tempSlider.value) : ROOM_TEMPERATURE;
 
     accDisplay.textContent = state.vAcc.toFixed(1) + " V";
     retDisplay.textContent = state.vRet.toFixed(1) + " V";
     tempDisplay.textContent = state.temperature + " °C";
+    pressureDisplay.textContent = (gasPressure() / 1000).toFixed(2) + " kPa";
+    freePathDisplay.textContent = (getTransportParams().meanFreePath * 1e3).toFixed(2) + " mm";
+}
+
+function clearHistory() {
+    state.history = [];
+    state.analysis = null;
+    renderAnalysis();
 }
 
 function startAutoScan() {
     state.autoScanning = true;
     autoScanBtn.textContent = "Durdur";
     accVoltageSlider.disabled = true;
-    state.history = [];
+    clearHistory();
     accVoltageSlider.value = 0;
     state.vAcc = 0;
 }
@@ -90,216 +202,472 @@ function stopAutoScan() {
     accVoltageSlider.disabled = false;
 }
 
-// --- Physics Engine (Advanced) ---
-
-// Helper: Calculate efficacy factor based on Temperature
-function getTemperatureFactor(t) {
-    // Optimal T is around 170-190 C.
-    // If T < 140: Vapor pressure too low -> No collisions -> Factor ~ 0
-    // If T > 220: Vapor pressure too high -> Too many collisions -> Factor destroys current
-
-    // We want a "Dip Strength" factor (0 to 1)
-    // And a "Current Transmission" factor (0 to 1)
-
-    let dipStrength = 0;
-    let transmission = 1;
-
-    if (t < 140) {
-        // Cold: Vacuum tube mode
-        dipStrength = 0;
-        transmission = 1; // High current allowed
-    } else if (t >= 140 && t <= 200) {
-        // Optimal range
-        // Gaussian peak at 180
-        const dist = Math.abs(t - 180);
-        dipStrength = Math.exp(-(dist * dist) / (20 * 20)); // exp(-x^2) shape
-        transmission = 0.8; // Some scattering loss
-    } else {
-        // Hot
-        dipStrength = 0.5; // Dips still exist but messy
-        // Transmission drops drastically with T
-        transmission = Math.exp(-(t - 200) / 20) * 0.5;
-    }
+// --- Physics Engine (Monte Carlo transport) ---
+
+/**
+ * Mercury vapor pressure in Pa, p = 8.7·10^(9 − 3110/T) with T in kelvin.
+ * About 40 Pa at 100 °C and 1.2 kPa at 180 °C.
+ */
+function vaporPressure(tCelsius) {
+    return 8.7 * Math.pow(10, 9 - 3110 / (tCelsius + 273.15));
+}
+
+// Pressure of the selected filling (Pa)
+function gasPressure() {
+    const gas = GASES[state.gas];
+    return gas.fillPressure === null ? vaporPressure(state.temperature) : gas.fillPressure;
+}
+
+// Number density of atoms (m⁻³) from the ideal gas law
+function atomDensity() {
+    return gasPressure() / (BOLTZMANN * (state.temperature + 273.15));
+}
+
+// Excitation cross section (m²): rises linearly over excitationRise above threshold, then flat
+function excitationCrossSection(energy, gas) {
+    if (energy <= gas.excitation) return 0;
+    return gas.sigmaExcitation * Math.min(1, (energy - gas.excitation) / gas.excitationRise);
+}
+
+// Everything an electron needs for one voltage setting, computed once per frame
+function getTransportParams() {
+    const gas = GASES[state.gas];
+    const n = atomDensity();
+    return {
+        gas: gas,
+        density: n,
+        field: (state.vAcc - gas.contactPotential) / TUBE_LENGTH, // eV gained per meter
+        retard: state.vRet, // eV of forward energy needed to reach the anode
+        meanFreePath: 1 / (n * gas.sigmaExcitation), // shortest inelastic free path
+        gapCollisions: n * gas.sigmaElastic * GAP_LENGTH // mean elastic collisions behind the grid
+    };
+}
 
-    return { dipStrength, transmission };
+// Thermionic emission: the flux-weighted Maxwellian is a gamma distribution of order 2
+function sampleEmissionEnergy() {
+    return -CATHODE_KT * Math.log((1 - Math.random()) * (1 - Math.random()));
 }
 
+// Distance to the next candidate collision at the largest excitation rate
+function sampleFreePath(params) {
+    return -params.meanFreePath * Math.log(1 - Math.random());
+}
 
+/**
+ * One electron between the cathode (x = 0) and the anode (x = TUBE_LENGTH +
+ * GAP_LENGTH), x in meters. Inelastic collisions are drawn by thinning: the
+ * candidates come at the peak excitation rate and each one excites the atom
+ * with probability σ(E)/σ_max. The same object serves the drawn electrons,
+ * which advance a little every frame, and the current, which runs batches
+ * of them straight to the end.
+ */
 class Electron {
-    constructor() {
-        this.reset();
+    constructor(params) {
+        this.reset(params);
     }
 
-    reset() {
-        this.x = 40; // Cathode
+    reset(params) {
+        this.x = 0;
         this.y = 50 + Math.random() * (tubeCanvas.height - 100);
-        this.vx = 0.5 + Math.random() * 0.5;
-        this.energy = 0; // eV
+        this.energy = sampleEmissionEnergy(); // eV
+        this.toCollision = sampleFreePath(params);
+        this.mu = 1; // direction cosine along the tube after the grid
+        this.stopAt = Infinity; // turning point in the retarding field
         this.active = true;
+        this.collected = false;
         this.color = '#fff';
     }
 
-    update() {
-        if (!this.active) return;
+    /**
+     * Moves the electron dx meters along the tube. onCollision(x) is called
+     * for every excitation. Returns false once the electron has been collected
+     * or stopped.
+     */
+    advance(dx, params, onCollision) {
+        let remaining = dx;
+        while (this.active && remaining > 0) {
+            if (this.x < TUBE_LENGTH) {
+                // Below threshold every candidate would be rejected; the process is memoryless,
+                // so the next candidate is drawn from where excitation becomes possible
+                if (this.energy <= params.gas.excitation && params.field > 0) {
+                    const toThreshold = (params.gas.excitation - this.energy) / params.field;
+                    if (toThreshold >= this.toCollision) this.toCollision = toThreshold + sampleFreePath(params);
+                }
+                const step = Math.min(remaining, this.toCollision, TUBE_LENGTH - this.x);
+                this.x += step;
+                this.energy += params.field * step;
+                this.toCollision -= step;
+                remaining -= step;
+
+                // Below the contact potential the field turns electrons back to the cathode
+                if (this.energy < 0) {
+                    this.stop();
+                    break;
+                }
 
-        const cathodeX = 40;
-        const gridX = tubeCanvas.width - 60;
-        const anodeX = tubeCanvas.width - 20;
-
-        // Physics Factors
-        const { dipStrength } = getTemperatureFactor(state.temperature);
-
-        if (this.x < gridX) {
-            // Cathode -> Grid Region
-            const dist = gridX - cathodeX;
-            const E_field = state.vAcc / dist;
-
-            // Gain Energy
-            this.energy += E_field * this.vx;
-            this.x += this.vx;
-
-            // Speed visualization
-            this.vx = 1 + Math.sqrt(this.energy) * 0.5;
-
-            // Collision Check
-            // Only if we have enough energy AND temperature allows collisions
-            if (this.energy >= EXCITATION_ENERGY && dipStrength > 0.01) {
-                // Probabilistic collision
-                // Probability should depend on DipStrength (Vapor Density)
-                if (Math.random() < 0.2 * dipStrength) {
-                    this.energy -= EXCITATION_ENERGY;
-
-                    // Visual Glow
-                    state.collisions.push({
-                        x: this.x,
-                        y: this.y,
-                        life: 1.0,
-                        color: `rgba(0, 188, 212, ${dipStrength})` // Opacity based on effect strength
-                    });
-
-                    // Scattering? simple slowing down
-                    this.vx = 0.5;
+                if (this.toCollision <= 0) {
+                    if (Math.random() * params.gas.sigmaExcitation < excitationCrossSection(this.energy, params.gas)) {
+                        this.energy -= params.gas.excitation;
+                        if (onCollision) onCollision(this.x);
+                    }
+                    this.toCollision = sampleFreePath(params);
                 }
-            }
 
-        } else if (this.x < anodeX) {
-            // Grid -> Anode Region (Retarding)
-            const dist = anodeX - gridX;
-            const E_field = state.vRet / dist;
+                if (this.x >= TUBE_LENGTH) this.enterRetardingGap(params);
+            } else {
+                const step = Math.min(remaining, TUBE_LENGTH + GAP_LENGTH - this.x);
+                this.x += step;
+                remaining -= step;
+                if (this.x >= this.stopAt) {
+                    this.stop();
+                } else if (this.x >= TUBE_LENGTH + GAP_LENGTH) {
+                    this.collected = true;
+                    this.active = false;
+                }
+            }
+        }
+        return this.active;
+    }
 
-            this.energy -= E_field * this.vx;
-            this.x += this.vx;
+    /**
+     * Behind the grid only the forward part of the energy, E·μ², works against
+     * U3. Elastic collisions there tilt the direction by a few degrees each,
+     * so the denser the vapor, the more electrons fall short of the anode.
+     */
+    enterRetardingGap(params) {
+        const collisions = samplePoisson(params.gapCollisions);
+        let theta2 = 0;
+        for (let k = 0; k < collisions; k++) {
+            theta2 -= ELASTIC_DEFLECTION * ELASTIC_DEFLECTION * Math.log(1 - Math.random());
+        }
+        this.mu = Math.cos(Math.min(Math.sqrt(theta2), Math.PI / 2));
 
-            if (this.energy <= 0) {
-                this.active = false;
-                this.color = '#555';
-            }
-        } else {
-            this.active = false;
+        const forward = this.energy * this.mu * this.mu;
+        if (forward < params.retard) {
+            this.stopAt = TUBE_LENGTH + GAP_LENGTH * forward / params.retard;
         }
     }
 
+    stop() {
+        this.active = false;
+        this.color = '#555';
+    }
+
+    // Runs the electron to the anode or to the point where it is stopped
+    run(params, onCollision) {
+        while (this.advance(TUBE_LENGTH + GAP_LENGTH, params, onCollision));
+        return this.collected;
+    }
+
     draw(ctx) {
         if (!this.active) return;
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, 2, 0, Math.PI * 2);
+        ctx.arc(tubeX(this.x), this.y, 2, 0, Math.PI * 2);
         ctx.fill();
     }
 }
 
-function calculateCurrent(v) {
-    if (v < 0) return 0;
-
-    const { dipStrength, transmission } = getTemperatureFactor(state.temperature);
-
-    // Base Diode Current (Rising V^1.5)
-    let baseCurrent = Math.pow(v, 1.5) * 0.2 * transmission;
-
-    // Frank-Hertz Dips
-    // We calculate "how many multiples of 4.9V" we passed.
-    // For each multiple, a large fraction of electrons lose energy.
-    // If result energy < vRet, they are stopped.
-
-    // n = collision order
-    const n = Math.floor((v + CONTACT_POTENTIAL) / EXCITATION_ENERGY);
-
-    // Energy remaining after n collisions (ideal)
-    const eRem = (v + CONTACT_POTENTIAL) - n * EXCITATION_ENERGY;
+// Knuth's method, fine for the small means used here
+function samplePoisson(mean) {
+    const limit = Math.exp(-mean);
+    let k = 0;
+    let p = Math.random();
+    while (p > limit) {
+        k++;
+        p *= Math.random();
+    }
+    return k;
+}
 
-    // If eRem < vRet, current should drop.
-    // However, energy is distributed. So it's not a step function drop.
-    // Deepest drop is when eRem is slightly above 0 but less than vRet? 
-    // Actually drop happens when eRem is roughly 0 (just after collision).
+// Canvas x of a position along the tube: cathode → grid → anode
+function tubeX(x) {
+    const cathodeX = 40;
+    const gridX = tubeCanvas.width - 60;
+    const anodeX = tubeCanvas.width - 20;
+    if (x <= TUBE_LENGTH) return cathodeX + (x / TUBE_LENGTH) * (gridX - cathodeX);
+    return gridX + ((x - TUBE_LENGTH) / GAP_LENGTH) * (anodeX - gridX);
+}
 
-    let dipFactor = 1.0;
+// Length of tube (m) drawn by one pixel at position x
+function metersPerPixel(x) {
+    const gridX = tubeCanvas.width - 60;
+    return x < TUBE_LENGTH ? TUBE_LENGTH / (gridX - 40) : GAP_LENGTH / 40;
+}
 
-    // We model dips as subtracted Gaussian-like valleys at n*4.9
-    // But we only want to subtract if dipStrength is high.
+/**
+ * Anode current at U2 = v: the space-charge-limited emission (Child's law,
+ * ∝ U^1.5) times the fraction of simulated electrons that reach the anode.
+ * The dips, their spacing and their temperature dependence all come from that
+ * fraction. Each call adds MC_BATCH electrons to a tally that is kept while
+ * the settings stay the same, so a steady reading keeps getting less noisy.
+ * The tally also counts the excitations and bins where they happen, for the
+ * emission detector and the glow layers.
+ */
+function calculateCurrent(v) {
+    if (v <= 0) return 0;
+
+    const key = `${state.gas}|${v}|${state.vRet}|${state.temperature}`;
+    if (state.tally.key !== key) state.tally = { key: key, sent: 0, collected: 0, excitations: 0, glow: new Float32Array(GLOW_BINS) };
+
+    const params = getTransportParams();
+    const probe = new Electron(params);
+    const tally = state.tally;
+    const binExcitation = x => {
+        tally.excitations++;
+        tally.glow[Math.min(GLOW_BINS - 1, Math.floor(x / TUBE_LENGTH * GLOW_BINS))]++;
+    };
+    for (let i = 0; i < MC_BATCH; i++) {
+        probe.reset(params);
+        if (probe.run(params, binExcitation)) state.tally.collected++;
+    }
+    state.tally.sent += MC_BATCH;
+    return CHILD_CONSTANT * Math.pow(v, 1.5) * state.tally.collected / state.tally.sent;
+}
 
-    // Instead of complex math, let's use the standard "Sawtooth" modulation approximation
-    // Current I ~ V_acc but resets at 4.9.
+/**
+ * Photon rate seen by the emission detector at U2 = v, from the tally that
+ * calculateCurrent has just updated. Every excited atom decays with one photon
+ * in the line, so the rate is the emitted electron flux times the
+ * excitations per electron. It sets in where the first electrons reach the
+ * threshold, i.e. where the current starts to drop, and steps up at every
+ * further drop.
+ */
+function calculateEmission(v) {
+    if (v <= 0 || state.tally.sent === 0) return 0;
+    return CHILD_CONSTANT * Math.pow(v, 1.5) * state.tally.excitations / state.tally.sent;
+}
 
-    // Let's model the "Effective Voltage" for current purposes.
-    // If DipStrength is 0 (Cold), Effective V = V_acc. Current rises smoothly.
-    // If DipStrength is 1 (Opt), Effective V "resets" or dips periodically.
+// --- Curve Analysis ---
+
+/**
+ * Finds the maxima and minima of the recorded U–I curve and fits each one
+ * with a parabola. The peak positions give the spacings, the excitation
+ * energy (mean spacing ± standard error) and, from a straight-line fit of
+ * U_n against the order n, the contact potential as the intercept, corrected
+ * for the thermal energy the electrons leave the cathode with.
+ */
+function analyzeCurve() {
+    const points = state.history.slice().sort((a, b) => a.x - b.x);
+    if (points.length < 20) {
+        state.analysis = { error: 'Analiz için önce bir tarama yapın.' };
+        renderAnalysis();
+        return;
+    }
 
-    // Let's use a modular function modulated by dipStrength
-    const phase = (v + CONTACT_POTENTIAL) / EXCITATION_ENERGY;
-    const cyclePos = phase - Math.floor(phase); // 0 to 1
+    const smooth = smoothCurve(points, SMOOTH_HALF_WIDTH);
+    const turning = findTurningPoints(smooth);
+    if (turning.maxima.length < 2) {
+        state.analysis = { error: 'En az iki maksimum gerekli; taramayı genişletin.' };
+        renderAnalysis();
+        return;
+    }
 
-    // A valley function: 1.0 normally, drops to 0.2 near cyclePos=0?
-    // Actually peaks happen just before collision energy is reached? 
-    // Peaks are when electrons reach anode with max energy just before collision.
-    // Dips are when they collide just before grid and have 0 energy entering retarding zone.
+    // The peaks rise slowly and drop sharply, so a wide symmetric fit would be
+    // pulled toward the rising side: the raw extreme is looked up within a
+    // quarter of the rough spacing, and only it and its close neighbors are fitted
+    const rough = (smooth[turning.maxima[turning.maxima.length - 1]].x - smooth[turning.maxima[0]].x) / (turning.maxima.length - 1);
+    const fit = sign => idx => {
+        const near = points.filter(p => Math.abs(p.x - smooth[idx].x) <= rough / 4);
+        const peak = near.reduce((best, p) => (sign * p.y > sign * best.y ? p : best));
+        const k = points.indexOf(peak);
+        const neighbors = points.slice(Math.max(0, k - 1), k + 2).map(p => Math.abs(p.x - peak.x));
+        const halfWidth = Math.max(rough * PEAK_FIT_FRACTION, ...neighbors) + 1e-9;
+        return fitVertex(points, peak.x, halfWidth) || { u: peak.x, i: peak.y };
+    };
+    const maxima = turning.maxima.map(fit(1));
+    const minima = turning.minima.map(fit(-1));
+
+    const spacings = [];
+    for (let k = 1; k < maxima.length; k++) spacings.push(maxima[k].u - maxima[k - 1].u);
+    const mean = spacings.reduce((a, b) => a + b, 0) / spacings.length;
+    const std = spacings.length > 1
+        ? Math.sqrt(spacings.reduce((a, d) => a + (d - mean) * (d - mean), 0) / (spacings.length - 1))
+        : 0;
+
+    // The first maximum lies one excitation energy plus the (smaller) contact potential up
+    const firstOrder = Math.max(1, Math.round(maxima[0].u / mean));
+    const orders = maxima.map((m, k) => firstOrder + k);
+    const line = fitLine(orders, maxima.map(m => m.u));
+
+    // Thermal electrons start exciting before U − U_c reaches nE, so the maxima
+    // lie below the line by a part of their mean energy 2kT that depends on the
+    // gas and its density: 1.5kT is added back and 2kT counted as a systematic error
+    const thermalShift = 1.5 * CATHODE_KT;
+    const thermalError = 2 * CATHODE_KT;
+
+    state.analysis = {
+        maxima: maxima,
+        minima: minima,
+        orders: orders,
+        spacings: spacings,
+        mean: mean,
+        std: std,
+        energy: mean,
+        energyError: std / Math.sqrt(spacings.length),
+        contact: line.intercept + thermalShift,
+        contactError: Math.hypot(line.interceptError, thermalError)
+    };
+    renderAnalysis();
+}
 
-    // So current is prop to probability of NOT being stopped.
-    // P(stop) is high when (V % 4.9) implies collision near grid.
+// Moving average over ±half neighbors in the sorted curve
+function smoothCurve(points, half) {
+    return points.map((p, i) => {
+        let sum = 0;
+        let count = 0;
+        for (let j = Math.max(0, i - half); j <= Math.min(points.length - 1, i + half); j++) {
+            sum += points[j].y;
+            count++;
+        }
+        return { x: p.x, y: sum / count };
+    });
+}
 
-    // Simple mathematical curve fitting visual behavior:
-    // Dip shape: 1 - Strength * exp(- (x - peak)^2 )
-    // Just modulate baseCurrent by a periodic function.
+/**
+ * Alternating maxima and minima with hysteresis, so that Monte Carlo noise is
+ * not taken for a peak: a maximum counts once the curve has fallen
+ * PEAK_HYSTERESIS below it, a minimum once it has risen by that fraction of
+ * the previous maximum.
+ */
+function findTurningPoints(smooth) {
+    const maxima = [];
+    const minima = [];
+    let rising = true;
+    let extreme = 0;
+    let lastMax = 0;
+    for (let i = 1; i < smooth.length; i++) {
+        const y = smooth[i].y;
+        if (rising) {
+            if (y > smooth[extreme].y) extreme = i;
+            else if (y < smooth[extreme].y * (1 - PEAK_HYSTERESIS)) {
+                maxima.push(extreme);
+                lastMax = smooth[extreme].y;
+                rising = false;
+                extreme = i;
+            }
+        } else {
+            if (y < smooth[extreme].y) extreme = i;
+            else if (y > smooth[extreme].y + lastMax * PEAK_HYSTERESIS) {
+                minima.push(extreme);
+                rising = true;
+                extreme = i;
+            }
+        }
+    }
+    return { maxima: maxima, minima: minima };
+}
 
-    // Periodic attenuation
-    // We want dips at roughly 4.9, 9.8... (actually slightly shifted by contact pot)
-    // Let's say we have peaks at 4.9*n - retarding? 
-    // Let's stick to the visual: Drops after 4.9n.
+// Least-squares parabola through the raw points within ±halfWidth of center; null if it has no vertex there
+function fitVertex(points, center, halfWidth) {
+    const near = points.filter(p => Math.abs(p.x - center) <= halfWidth);
+    if (near.length < 3) return null;
+
+    // Normal equations for y = a + b·t + c·t², t = x − center
+    const s = [0, 0, 0, 0, 0];
+    const r = [0, 0, 0];
+    near.forEach(p => {
+        const t = p.x - center;
+        for (let k = 0; k < 5; k++) s[k] += Math.pow(t, k);
+        for (let k = 0; k < 3; k++) r[k] += p.y * Math.pow(t, k);
+    });
+    const [a, b, c] = solve3([[s[0], s[1], s[2]], [s[1], s[2], s[3]], [s[2], s[3], s[4]]], r);
+    if (!isFinite(c) || c === 0) return null;
+
+    const t = -b / (2 * c);
+    if (Math.abs(t) > halfWidth) return null;
+    return { u: center + t, i: a + b * t + c * t * t };
+}
 
-    // Smooth periodic drop
-    // Valleys at 6.9, 11.8...
-    // Let's use cos^2 or similar
-    const period = EXCITATION_ENERGY;
-    const offset = CONTACT_POTENTIAL;
+// Cramer's rule for a 3×3 system
+function solve3(m, r) {
+    const det = A => A[0][0] * (A[1][1] * A[2][2] - A[1][2] * A[2][1])
+        - A[0][1] * (A[1][0] * A[2][2] - A[1][2] * A[2][0])
+        + A[0][2] * (A[1][0] * A[2][1] - A[1][1] * A[2][0]);
+    const d = det(m);
+    return [0, 1, 2].map(col => det(m.map((row, i) => row.map((v, j) => (j === col ? r[i] : v)))) / d);
+}
 
-    // We want a drop specifically when V implies electrons arrive at grid with ~0 energy after collision.
-    // That means V approx n*4.9.
+// y = intercept + slope·x by least squares, with the standard error of the intercept
+function fitLine(xs, ys) {
+    const n = xs.length;
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    xs.forEach((x, k) => {
+        sxx += (x - mx) * (x - mx);
+        sxy += (x - mx) * (ys[k] - my);
+    });
+    const slope = sxy / sxx;
+    const intercept = my - slope * mx;
+    let ssr = 0;
+    xs.forEach((x, k) => { ssr += Math.pow(ys[k] - intercept - slope * x, 2); });
+    const sigma2 = n > 2 ? ssr / (n - 2) : 0;
+    return { slope: slope, intercept: intercept, interceptError: Math.sqrt(sigma2 * (1 / n + mx * mx / sxx)) };
+}
 
-    // Let's compose the factor.
-    // Base factor is 1.
-    // Subtract Gaussian at each n*4.9 + small_offset
+function renderAnalysis() {
+    const a = state.analysis;
+    if (!a) {
+        analysisResults.innerHTML = '<p class="analysis-note">Tarama bittiğinde veya "Analiz Et" ile sonuçlar burada görünür.</p>';
+        return;
+    }
+    if (a.error) {
+        analysisResults.innerHTML = `<p class="analysis-note">${a.error}</p>`;
+        return;
+    }
 
-    let modulation = 0;
-    // Iterate possible collision orders up to current voltage
-    for (let k = 1; k < 15; k++) {
-        const dropPos = k * EXCITATION_ENERGY + CONTACT_POTENTIAL;
-        if (v < dropPos - 3) break; // Optimization
+    const rows = a.maxima.map((m, k) => `
+        <tr><td>${a.orders[k]}</td><td>${m.u.toFixed(2)}</td><td>${k > 0 ? a.spacings[k - 1].toFixed(2) : '—'}</td></tr>`).join('');
+    analysisResults.innerHTML = `
+        <table class="analysis-table">
+            <tr><th>n</th><th>U<sub>max</sub> (V)</th><th>ΔU (V)</th></tr>${rows}
+        </table>
+        <p>Minimumlar: ${a.minima.map(m => m.u.toFixed(2)).join(', ')} V</p>
+        <p>ΔU ortalama = ${a.mean.toFixed(2)} V, σ = ${a.std.toFixed(2)} V</p>
+        <p><strong>E = (${a.energy.toFixed(2)} ± ${a.energyError.toFixed(2)}) eV</strong>
+            <span class="analysis-note">(kabul edilen: ${GASES[state.gas].excitation} eV)</span></p>
+        <p><strong>U<sub>c</sub> = (${a.contact.toFixed(2)} ± ${a.contactError.toFixed(2)}) V</strong>
+            <span class="analysis-note">(U<sub>n</sub> = U<sub>c</sub> + nE doğrusundan, ısıl kayma düzeltmesiyle)</span></p>`;
+}
 
-        // Define a "Drop Window"
-        // If v is near dropPos, current drops.
-        const diff = v - dropPos;
-        // Asymmetric Sawtooth is better but Gaussian is easier.
-        // Dips are usually sharp.
-        const width = 1.5;
-        modulation += Math.exp(-(diff * diff) / (width));
+// Raw curve followed by the fit results, in the data-URI style of the other labs
+function exportCsv() {
+    if (state.history.length === 0) {
+        alert("Dışa aktarılacak veri yok!");
+        return;
     }
 
-    // Apply dip strength
-    // If dipStrength is 1, modulation fully subtracts current (well, up to a limit).
-    // Factor must be > 0.
-    dipFactor = 1 - (0.8 * dipStrength * modulation);
-    dipFactor = Math.max(0.1, dipFactor); // Clamp
+    let csvContent = "data:text/csv;charset=utf-8,";
+    csvContent += `Gaz,${GASES[state.gas].name},T(C),${state.temperature},U3(V),${state.vRet}\n`;
+    csvContent += `U2(V),I(a.u.),Isima_${GASES[state.gas].line}nm(a.u.)\n`;
+    state.history.slice().sort((a, b) => a.x - b.x).forEach(p => {
+        csvContent += `${p.x.toFixed(2)},${p.y.toFixed(3)},${p.uv.toFixed(3)}\n`;
+    });
+
+    const a = state.analysis;
+    if (a && !a.error) {
+        csvContent += "\nn,U_max(V),I_max(a.u.),DeltaU(V)\n";
+        a.maxima.forEach((m, k) => {
+            csvContent += `${a.orders[k]},${m.u.toFixed(3)},${m.i.toFixed(3)},${k > 0 ? a.spacings[k - 1].toFixed(3) : ''}\n`;
+        });
+        csvContent += "\nU_min(V),I_min(a.u.)\n";
+        a.minima.forEach(m => {
+            csvContent += `${m.u.toFixed(3)},${m.i.toFixed(3)}\n`;
+        });
+        csvContent += `\nDeltaU_ortalama(V),${a.mean.toFixed(3)}\nDeltaU_std(V),${a.std.toFixed(3)}\n`;
+        csvContent += `E(eV),${a.energy.toFixed(3)}\nE_hata(eV),${a.energyError.toFixed(3)}\n`;
+        csvContent += `U_c(V),${a.contact.toFixed(3)}\nU_c_hata(V),${a.contactError.toFixed(3)}\n`;
+    }
 
-    return baseCurrent * dipFactor;
+    const encodedUri = encodeURI(csvContent);
+    const link = document.createElement("a");
+    link.setAttribute("href", encodedUri);
+    link.setAttribute("download", `frank_hertz_${state.gas}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
 }
 
 function animate() {
@@ -307,29 +675,42 @@ function animate() {
         state.vAcc += 0.1;
         accVoltageSlider.value = state.vAcc;
         updateStateFromDOM();
-        if (state.vAcc >= 80) stopAutoScan();
+        if (state.vAcc >= 80) {
+            stopAutoScan();
+            analyzeCurve();
+        }
     }
 
     state.current = calculateCurrent(state.vAcc);
-
-    // Push history
-    if (state.history.length === 0 || Math.abs(state.vAcc - state.history[state.history.length - 1].x) > 0.2) {
-        state.history.push({ x: state.vAcc, y: state.current });
+    state.emission = calculateEmission(state.vAcc);
+
+    // Push history; a point at the same voltage is refined as the tally grows
+    const last = state.history[state.history.length - 1];
+    if (!last || Math.abs(state.vAcc - last.x) > 0.2) {
+        state.history.push({ x: state.vAcc, y: state.current, uv: state.emission });
+    } else if (last.x === state.vAcc) {
+        last.y = state.current;
+        last.uv = state.emission;
     }
 
     // Emission (Temp dependent)
-    // Current simulation needs particles.
-    // Particle count ~ Current? Or just visual?
-    // Let's keep particle emission simple but scale by T.
-    const emissionRate = Math.max(0, (state.temperature - 100) / 500);
+    // The drawn electrons follow the same transport as the current, only slower
+    const params = getTransportParams();
+    // (the noble-gas tubes have no oven; their cathode glows at a fixed heating)
+    const emissionRate = params.gas.fillPressure === null ? Math.max(0, (state.temperature - 100) / 500) : 0.15;
     if (Math.random() < emissionRate) {
-        state.electrons.push(new Electron());
+        state.electrons.push(new Electron(params));
     }
 
     // Logic
     for (let i = state.electrons.length - 1; i >= 0; i--) {
-        state.electrons[i].update();
-        if (!state.electrons[i].active || state.electrons[i].x > tubeCanvas.width) {
+        const e = state.electrons[i];
+        // Drawn speed grows with √E, in pixels per frame
+        const pixels = 1 + Math.sqrt(Math.max(0, e.energy)) * 0.5;
+        e.advance(pixels * metersPerPixel(e.x), params, x => {
+            state.collisions.push({ x: tubeX(x), y: e.y, life: 1.0, color: `rgba(${params.gas.glow.join(', ')}, 0.8)` });
+        });
+        if (!e.active) {
             state.electrons.splice(i, 1);
         }
     }
@@ -344,6 +725,7 @@ function animate() {
     // Drawings
     drawTube();
     drawGraph();
+    drawEmissionGraph();
 
     requestAnimationFrame(animate);
 }
@@ -365,6 +747,9 @@ function drawTube() {
         tubeCtx.fillRect(0, 0, tubeCanvas.width, tubeCanvas.height);
     }
 
+    const gas = GASES[state.gas];
+    if (gas.glowStrength > 0 && state.tally.sent > 0) drawGlowLayers(gas);
+
     tubeCtx.strokeStyle = '#666';
     tubeCtx.lineWidth = 4;
 
@@ -398,6 +783,28 @@ function drawTube() {
     }
 }
 
+/**
+ * Light from the atoms excited in each slice between cathode and grid, from
+ * the Monte Carlo tally. Electrons excite where they first reach the
+ * excitation energy, so a layer forms there; it moves toward the cathode as
+ * U2 rises, and a new one appears at the grid with each further minimum.
+ */
+function drawGlowLayers(gas) {
+    const h = tubeCanvas.height;
+    const glow = state.tally.glow;
+    for (let k = 0; k < GLOW_BINS; k++) {
+        // Three-bin average, the light of a layer is not sharp-edged
+        const sum = glow[k] + (k > 0 ? glow[k - 1] : glow[k]) + (k < GLOW_BINS - 1 ? glow[k + 1] : glow[k]);
+        const alpha = gas.glowStrength * Math.min(0.85, GLOW_GAIN * sum / (3 * state.tally.sent));
+        if (alpha < 0.01) continue;
+
+        const x0 = tubeX(k / GLOW_BINS * TUBE_LENGTH);
+        const x1 = tubeX((k + 1) / GLOW_BINS * TUBE_LENGTH);
+        tubeCtx.fillStyle = `rgba(${gas.glow.join(', ')}, ${alpha})`;
+        tubeCtx.fillRect(x0, h / 2 - 45, x1 - x0 + 0.5, 90);
+    }
+}
+
 function drawGraph() {
     graphCtx.fillStyle = '#1e1e1e';
     graphCtx.fillRect(0, 0, graphCanvas.width, graphCanvas.height);
@@ -435,6 +842,23 @@ function drawGraph() {
     }
     graphCtx.stroke();
 
+    // Fitted maxima and minima
+    const a = state.analysis;
+    if (a && !a.error) {
+        const mark = (m, color, dy) => {
+            const x = pad + (m.u / maxX) * w;
+            const y = h - (m.i / maxY) * (h - pad);
+            graphCtx.fillStyle = color;
+            graphCtx.beginPath();
+            graphCtx.moveTo(x, y + dy);
+            graphCtx.lineTo(x - 4, y + 2 * dy);
+            graphCtx.lineTo(x + 4, y + 2 * dy);
+            graphCtx.fill();
+        };
+        a.maxima.forEach(m => mark(m, '#facc15', -4));
+        a.minima.forEach(m => mark(m, '#a3e635', 4));
+    }
+
     // Current Dot
     const curX = pad + (state.vAcc / maxX) * w;
     const curY = h - (state.current / maxY) * (h - pad);
@@ -444,4 +868,65 @@ function drawGraph() {
     graphCtx.fill();
 }
 
+/**
+ * Emission detector against U2, on the same voltage axis as the current
+ * graph. The fitted current minima, once the curve has been analyzed, are
+ * drawn as guides so each drop can be matched with an emission onset.
+ */
+function drawEmissionGraph() {
+    uvCtx.fillStyle = '#1e1e1e';
+    uvCtx.fillRect(0, 0, uvCanvas.width, uvCanvas.height);
+
+    const pad = 35;
+    const w = uvCanvas.width - pad;
+    const h = uvCanvas.height - pad;
+    const maxX = 80;
+
+    uvCtx.strokeStyle = '#444';
+    uvCtx.lineWidth = 1;
+    uvCtx.beginPath();
+    uvCtx.moveTo(pad, pad);
+    uvCtx.lineTo(pad, h);
+    uvCtx.lineTo(w + pad, h);
+    uvCtx.stroke();
+
+    const a = state.analysis;
+    if (a && !a.error) {
+        uvCtx.strokeStyle = 'rgba(163, 230, 53, 0.5)';
+        uvCtx.setLineDash([4, 4]);
+        a.minima.forEach(m => {
+            const x = pad + (m.u / maxX) * w;
+            uvCtx.beginPath();
+            uvCtx.moveTo(x, pad);
+            uvCtx.lineTo(x, h);
+            uvCtx.stroke();
+        });
+        uvCtx.setLineDash([]);
+    }
+
+    if (state.history.length < 2) return;
+
+    // The rate grows steeply with U2, so the axis follows the recorded maximum
+    const maxY = Math.max(1, state.emission, ...state.history.map(p => p.uv)) * 1.1;
+
+    uvCtx.strokeStyle = '#b388ff';
+    uvCtx.lineWidth = 2;
+    uvCtx.beginPath();
+    state.history.forEach((p, i) => {
+        const x = pad + (p.x / maxX) * w;
+        const y = h - (p.uv / maxY) * (h - pad);
+        if (i === 0) uvCtx.moveTo(x, y);
+        else uvCtx.lineTo(x, y);
+    });
+    uvCtx.stroke();
+
+    const curX = pad + (state.vAcc / maxX) * w;
+    const curY = h - (state.emission / maxY) * (h - pad);
+    uvCtx.fillStyle = '#ff4081';
+    uvCtx.beginPath();
+    uvCtx.arc(curX, curY, 4, 0, Math.PI * 2);
+    uvCtx.fill();
+}
+
+renderAnalysis();
 animate();
@@ -8,19 +8,30 @@
 const CONSTANTS = {
     g: 9.80,                  // Yerçekimi ivmesi (m/s^2)
     rho_oil: 875,             // Yağ yoğunluğu (kg/m^3) - Yaklaşık zeytinyağı
-    rho_air: 1.225,           // Hava yoğunluğu (kg/m^3)
+    rho_air: 1.205,           // Hava yoğunluğu (kg/m^3) @ 20C, 1 atm
     viscosity: 1.81e-5,       // Havanın viskozitesi (Pa.s) @ 20C
+    sutherland: 110.4,        // Sutherland sabiti (K), viskozitenin sıcaklıkla değişimi
+    k_b: 1.380649e-23,        // Boltzmann sabiti (J/K)
     e: 1.602e-19,             // Elementer yük (C)
     plateDistance: 0.005,     // Plakalar arası mesafe (m) => 5mm
+    reticleSpacing: 0.0005,   // Mikroskop ızgarasında kareler arası mesafe (m) => 0.5mm
+    pressure: 101325,         // Standart hava basıncı (Pa)
+    temperature: 293.15,      // Referans sıcaklık (K)
+    cunninghamB: 8.2e-3,      // Cunningham sabiti b (Pa.m), C = 1 + b/(p.r)
     scale: 100000             // Piksel/Metre oranı (Yakınlaştırma faktörü)
     // 50px = 0.5mm => 100px = 1mm => 1m = 100,000px
 };
 
 // --- State ---
 let drops = [];
+let dropCounter = 0; // Damla numaraları, defterde hangi damlanın ölçüldüğünü gösterir
 let selectedDrop = null;
 let voltage = 0; // Volt
 let isSimulationRunning = true;
+let air = {
+    temperature: 293.15, // K
+    pressure: 101325 // Pa
+};
 let lastTime = 0;
 
 // Camera / Zoom State
@@ -31,6 +42,15 @@ let camera = {
     target: null // drop to follow
 };
 
+// Ionizer State
+// X-ışını kaynağı açıkken havada iyonlar oluşur; damlalar bunları yakalayarak birkaç e yük kazanır ya da kaybeder.
+const IONIZATION_RATE = 0.15; // Damla başına saniyede ortalama yük değişimi
+const TRAIL_INTERVAL = 0.25; // s, iz noktaları arası süre
+const TRAIL_LENGTH = 120; // Saklanan iz noktası sayısı (30 s)
+let ionizer = {
+    on: false
+};
+
 // Stopwatch State
 let stopwatch = {
     running: false,
@@ -47,6 +67,8 @@ const height = canvas.height;
 // --- Drop Class ---
 class OilDrop {
     constructor() {
+        this.id = ++dropCounter;
+
         // Random Radius: 0.5 to 1.1 micrometers (Skewed smaller for better lift)
         this.radius = (0.5 + Math.random() * 0.6) * 1e-6; // m
 
@@ -72,6 +94,12 @@ class OilDrop {
         this.q = n * CONSTANTS.e;
 
         this.color = `rgba(255, 255, 200, ${0.7 + Math.random() * 0.3})`;
+
+        this.age = 0; // s
+        this.trail = []; // {x, y, jump} her TRAIL_INTERVAL'da bir
+        this.trailTimer = 0;
+        this.jumpPending = false; // the next trail point marks a charge jump
+        this.chargeLog = []; // {t, dq, vBefore, vAfter}
     }
 
     update(dt) {
@@ -84,7 +112,7 @@ class OilDrop {
         const Fg = mass * CONSTANTS.g;
 
         // 2. Buoyancy (Up)
-        const Fb = volume * CONSTANTS.rho_air * CONSTANTS.g;
+        const Fb = volume * airDensity() * CONSTANTS.g;
 
         // 3. Electric Force (Up or Down depending on charge and voltage polarity)
         // E = V / d.  (Voltage positive means Top plate +, Bottom - ? Or vice versa?)
@@ -113,57 +141,62 @@ class OilDrop {
         const E = voltage / CONSTANTS.plateDistance;
         const Fe = this.q * E; // result in Newtons. + means Down, - means Up.
 
-        // 4. Drag (Stokes) - Opposes velocity
-        // Fd = -6 * pi * eta * r * v
-        const Fd_x = -6 * Math.PI * CONSTANTS.viscosity * this.radius * this.vx;
-        const Fd_y = -6 * Math.PI * CONSTANTS.viscosity * this.radius * this.vy;
-
-        // 5. Brownian Motion (Random Fluctuations)
-        // Simple random kick. Magnitude depends on Temperature and viscosity/radius?
-        // Simplification: Random force F_brown
-        const k_b = 1.38e-23;
-        const T = 293; // 20 C
-        // Magnitude scaling for visibility only, realistically it's very complex to sim properly at dt
-        // Just adding small noise to velocity directly is easier visually.
-        // Let's add it as a force?
-        // F_random approx sqrt(2*k*T*gamma / dt) * GaussianRandom ??
-        // Let's just do a velocity jitter.
-
-        // Sum of deterministic forces
-        const Fnet_y = Fg - Fb + Fe + Fd_y;
-        const Fnet_x = Fd_x;
-
-        // Acceleration (F=ma)
-        // Note: For microscopic particles in fluid, inertia is negligible compared to drag.
-        // They reach terminal velocity instantly (Aristotelian motion).
-        // However, integrating F=ma works fine if dt is small enough, but might be unstable.
-        // Better to use v = F_driving / (6*pi*eta*r) directly?
-        // Let's try standard Euler integration first. Mass is very small (1e-15 kg).
-        // F is very small. a = F/m will be HUGE.
-        // dt must be TINY. Or we assume terminal velocity instantaneously.
-
-        // Approach: Instant Terminal Velocity assumption is much more stable for this scale.
-        // v_term = F_net_driving / (6 * pi * eta * r)
-        // Driving forces: Gravity - Buoyancy + Electric
-
-        const F_driving_y = Fg - Fb + Fe;
-        const F_driving_x = 0; // No horizontal driving force
-
-        const drag_coeff = 6 * Math.PI * CONSTANTS.viscosity * this.radius;
-
-        // Velocity is Force / Drag_Coeff
-        this.vy = F_driving_y / drag_coeff;
-        this.vx = F_driving_x / drag_coeff;
-
-        // Add Brownian Jitter
-        // Just a random pixel jitter based on 1/r (smaller drops jitter more)
-        const jitterMagnitude = (1e-6 / this.radius) * 2e-6; // heuristic
-        this.vx += (Math.random() - 0.5) * jitterMagnitude;
-        this.vy += (Math.random() - 0.5) * jitterMagnitude;
-
-        // Update Position
-        this.x += this.vx * dt;
-        this.y += this.vy * dt;
+        // 4. Drag (Stokes, with the Cunningham slip correction) and 5. Brownian Motion
+        // Inertia is negligible at this scale (the velocity relaxes in ~10 µs), so the
+        // drop moves overdamped: it drifts at the terminal velocity of the forces above,
+        // and the thermal kicks add a Gaussian step of variance 2·D·dt on each axis.
+        this.vy = this.terminalVelocity(this.q);
+        this.vx = 0; // No horizontal driving force
+
+        const sigma = Math.sqrt(2 * this.diffusionCoefficient() * dt);
+        this.x += this.vx * dt + sigma * gaussianRandom();
+        this.y += this.vy * dt + sigma * gaussianRandom();
+
+        // Trace: equally timed points, so their spacing shows the speed
+        this.age += dt;
+        this.trailTimer += dt;
+        if (this.trailTimer >= TRAIL_INTERVAL) {
+            this.trailTimer -= TRAIL_INTERVAL;
+            this.trail.push({ x: this.x, y: this.y, jump: this.jumpPending });
+            this.jumpPending = false;
+            if (this.trail.length > TRAIL_LENGTH) this.trail.shift();
+        }
+    }
+
+    // Vertical drift speed for charge q without the Brownian part (m/s, + is down)
+    terminalVelocity(q) {
+        const volume = (4 / 3) * Math.PI * Math.pow(this.radius, 3);
+        const F_driving_y = volume * (CONSTANTS.rho_oil - airDensity()) * CONSTANTS.g + q * voltage / CONSTANTS.plateDistance;
+        // Stokes drag with the Cunningham slip correction, see dragCoefficient
+        return F_driving_y / dragCoefficient(this.radius);
+    }
+
+    // Stokes–Einstein: D = kT / (6πηr / C), in m²/s
+    diffusionCoefficient() {
+        return CONSTANTS.k_b * air.temperature / dragCoefficient(this.radius);
+    }
+
+    // Captures or loses dn elementary charges; the jump is logged with the drift speeds around it
+    changeCharge(dn) {
+        const dq = dn * CONSTANTS.e;
+        this.chargeLog.push({
+            t: this.age,
+            dq: dq,
+            vBefore: this.terminalVelocity(this.q),
+            vAfter: this.terminalVelocity(this.q + dq)
+        });
+        this.q += dq;
+        // Marked on the next regular point, so the trail stays equally timed for measuredDrift
+        this.jumpPending = true;
+    }
+
+    drawTrail(ctx) {
+        this.trail.forEach(p => {
+            ctx.fillStyle = p.jump ? '#e57373' : 'rgba(100, 181, 246, 0.6)';
+            ctx.beginPath();
+            ctx.arc(p.x * CONSTANTS.scale, p.y * CONSTANTS.scale, p.jump ? 3 : 1.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     draw(ctx) {
@@ -188,6 +221,7 @@ class OilDrop {
 
         // Draw selection ring
         if (this === selectedDrop) {
+            this.drawTrail(ctx);
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 2;
             ctx.beginPath();
@@ -205,6 +239,40 @@ class OilDrop {
     }
 }
 
+// --- Air ---
+
+// Sutherland yasası: η = η₀ (T/T₀)^1.5 (T₀ + S)/(T + S); basınçtan bağımsızdır
+function airViscosity() {
+    const T = air.temperature;
+    const T0 = CONSTANTS.temperature;
+    const S = CONSTANTS.sutherland;
+    return CONSTANTS.viscosity * Math.pow(T / T0, 1.5) * (T0 + S) / (T + S);
+}
+
+// İdeal gaz: ρ ∝ p/T
+function airDensity() {
+    return CONSTANTS.rho_air * (air.pressure / CONSTANTS.pressure) * (CONSTANTS.temperature / air.temperature);
+}
+
+// Box–Muller, standart normal dağılım
+function gaussianRandom() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function updateAirFromSliders() {
+    const tCelsius = parseInt(document.getElementById('air-temp-slider').value);
+    const pKpa = parseInt(document.getElementById('air-pressure-slider').value);
+    air.temperature = tCelsius + 273.15;
+    air.pressure = pKpa * 1000;
+
+    document.getElementById('air-temp-value').textContent = `${tCelsius} °C`;
+    document.getElementById('air-pressure-value').textContent = `${pKpa} kPa`;
+    document.getElementById('temp-display').textContent = `${tCelsius}°C`;
+    document.getElementById('pressure-display').textContent = `${pKpa} kPa`;
+    document.getElementById('viscosity-display').textContent = airViscosity().toExponential(3);
+    updateSelectionUI();
+}
+
 // --- Logic ---
 
 function spawnDrop() {
@@ -217,6 +285,32 @@ function sprayDrops() {
     }
 }
 
+// Bir iyon yakalama: çoğunlukla 1e, bazen 2-3e; yük kazanma ve kaybetme eşit olasılıklı
+function ionize(drop) {
+    const roll = Math.random();
+    const size = roll < 0.7 ? 1 : (roll < 0.95 ? 2 : 3);
+    drop.changeCharge(Math.random() < 0.5 ? size : -size);
+
+    if (drop === selectedDrop) {
+        // A rise time or hold voltage taken before the jump belongs to the old charge
+        if (notebook.pending.dropId === drop.id && notebook.pending.voltage !== null) {
+            notebook.pending.tRise = null;
+            notebook.pending.voltage = null;
+            updatePendingUI();
+        }
+        updateSelectionUI();
+    }
+}
+
+function toggleIonizer() {
+    ionizer.on = !ionizer.on;
+    const btn = document.getElementById('ionizer-btn');
+    btn.textContent = ionizer.on ? "☢ X-Işını Kaynağı: Açık" : "☢ X-Işını Kaynağı: Kapalı";
+    btn.classList.toggle('warning', ionizer.on);
+    btn.classList.toggle('secondary-btn', !ionizer.on);
+    document.querySelector('.vignette').classList.toggle('flash-active', ionizer.on);
+}
+
 // --- Interaction ---
 canvas.addEventListener('mousedown', (e) => {
     const rect = canvas.getBoundingClientRect();
@@ -281,12 +375,14 @@ function setVoltage(v) {
 }
 
 function updateVoltageFromSlider() {
+    if (balance.auto) stopAutoBalance("Gerilim elle değiştirildi.");
     const val = parseInt(document.getElementById('voltage-slider').value);
     voltage = val;
     document.getElementById('voltage-input').value = val;
 }
 
 function updateVoltageFromInput() {
+    if (balance.auto) stopAutoBalance("Gerilim elle değiştirildi.");
     let val = parseInt(document.getElementById('voltage-input').value);
     if (isNaN(val)) val = 0;
     // Clamp
@@ -339,6 +435,7 @@ function loop(timestamp) {
         // Update and Draw Drops
         for (let i = drops.length - 1; i >= 0; i--) {
             const drop = drops[i];
+            if (ionizer.on && Math.random() < IONIZATION_RATE * dt) ionize(drop);
             drop.update(dt);
             drop.draw(ctx); // Draw is local coordinates, transform handles position
 
@@ -352,6 +449,9 @@ function loop(timestamp) {
         }
 
         ctx.restore(); // Restore state
+
+        if (balance.auto) stepAutoBalance();
+        updateDriftReadout();
     }
 
     // Stopwatch update
@@ -406,7 +506,7 @@ function pad(n) {
 // --- Helpers ---
 function drawGrid(ctx) {
     // Grid spacing: 0.5mm = 50px at scale 1.
-    const spacing = 50;
+    const spacing = CONSTANTS.reticleSpacing * CONSTANTS.scale;
 
     // Draw infinite grid covering potential zoom area
     // Use a large bounds but ensure alignment with 0,0
@@ -472,9 +572,17 @@ function updateSelectionUI() {
     if (selectedDrop) {
         // Display Info
         const r_um = (selectedDrop.radius * 1e6).toFixed(3);
+        // Last charge jumps: the change of the drift speed and the Δq it corresponds to
+        const jumps = selectedDrop.chargeLog.slice(-5).map(j => `
+            <li>t = ${j.t.toFixed(1)} s: Δv<sub>yukarı</sub> = ${((j.vBefore - j.vAfter) * 1e6).toFixed(1)} µm/s,
+                Δq = ${(j.dq * 1e19).toFixed(2)}×10⁻¹⁹ C</li>`).join('');
+        // rms Brownian displacement during a 10 s timing run, √(2·D·t)
+        const spread_um = (Math.sqrt(2 * selectedDrop.diffusionCoefficient() * 10) * 1e6).toFixed(1);
         infoPanel.innerHTML = `
-            <strong>Seçili Damla</strong><br>
-            Yarıçap (r): ${r_um} µm
+            <strong>Seçili Damla #${selectedDrop.id}</strong><br>
+            Yarıçap (r): ${r_um} µm<br>
+            <small>Brown sapması (10 s): ±${spread_um} µm</small>
+            ${jumps ? `<ul class="charge-log">${jumps}</ul>` : ''}
         `;
         infoPanel.style.display = 'block';
         zoomBtn.textContent = camera.zoom > 1 ? "🔍 Zoom: Açık (4x)" : "🔍 Zoom: Kapalı (1x)";
@@ -490,6 +598,442 @@ function updateSelectionUI() {
     }
 }
 
+// --- Measurement Notebook ---
+// Dinamik yöntem: alan kapalıyken düşüş, alan açıkken yükseliş süresi aynı mesafe için ölçülür.
+// Denge yöntemi: düşüş süresi ve damlayı asılı tutan gerilim ölçülür (bkz. Balancing Method).
+
+const MAX_CHARGE_DIVISOR = 6; // en küçük yük kümesinin en fazla kaç e olabileceği
+const QUANTIZATION_TOLERANCE = 0.12; // |q|/e − n için kabul edilen RMS sapma
+const METHOD_LABELS = { dynamic: 'Dinamik', balancing: 'Denge' };
+
+let notebook = {
+    entries: [], // {method, dropId, distance, tFall, tRise, voltage, radius, q}
+    pending: { method: 'dynamic', dropId: null, tFall: null, tRise: null, voltage: null },
+    result: null // estimateCharge sonucu
+};
+
+// Kronometrenin o anki okuması (s)
+function getStopwatchSeconds() {
+    const running = stopwatch.running ? Date.now() - stopwatch.startTime : 0;
+    return (stopwatch.elapsedTime + running) / 1000;
+}
+
+// Kronometre okumasını seçili damlanın düşüş ya da yükseliş süresi, ya da o anki gerilimi tutma gerilimi olarak not eder
+function recordTime(kind) {
+    if (!selectedDrop) {
+        alert("Ölçüm kaydetmek için önce bir damla seçmelisiniz!");
+        return;
+    }
+    const t = getStopwatchSeconds();
+    if (kind !== 'hold' && t <= 0) {
+        alert("Kronometrede ölçülmüş bir süre yok!");
+        return;
+    }
+    if (kind === 'fall' && voltage !== 0) {
+        alert("Düşüş süresi alan kapalıyken ölçülmelidir (V = 0).");
+        return;
+    }
+    if (kind === 'rise' && voltage === 0) {
+        alert("Yükseliş süresi alan açıkken ölçülmelidir (V ≠ 0).");
+        return;
+    }
+    if (kind === 'hold' && voltage === 0) {
+        alert("Damlayı tutan bir gerilim ayarlanmalıdır (V ≠ 0).");
+        return;
+    }
+
+    const pending = notebook.pending;
+    if (pending.dropId !== selectedDrop.id) {
+        notebook.pending = { method: pending.method, dropId: selectedDrop.id, tFall: null, tRise: null, voltage: null };
+    }
+    if (kind === 'fall') {
+        notebook.pending.tFall = t;
+    } else if (kind === 'rise') {
+        notebook.pending.tRise = t;
+        notebook.pending.voltage = voltage;
+    } else {
+        notebook.pending.voltage = voltage;
+    }
+    updatePendingUI();
+}
+
+// Kaydedilecek ölçüm tamam mı: dinamikte iki süre, dengede düşüş süresi ve tutma gerilimi
+function isPendingComplete(p) {
+    if (p.tFall === null || p.voltage === null) return false;
+    return p.method === 'balancing' || p.tRise !== null;
+}
+
+function updatePendingUI() {
+    const p = notebook.pending;
+    const fmt = t => (t === null ? '--' : t.toFixed(2) + ' s');
+    document.getElementById('pending-drop').textContent = p.dropId === null ? '--' : '#' + p.dropId;
+    document.getElementById('pending-fall').textContent = fmt(p.tFall);
+    if (p.method === 'balancing') {
+        document.getElementById('pending-rise').textContent = p.voltage === null ? '--' : `${p.voltage} V`;
+    } else {
+        document.getElementById('pending-rise').textContent = p.tRise === null ? '--' : `${fmt(p.tRise)} @ ${p.voltage} V`;
+    }
+    document.getElementById('save-entry-btn').disabled = !isPendingComplete(p);
+}
+
+// Cunningham kayma düzeltmesi: küçük damlalar için Stokes sürüklemesi hava moleküllerinin serbest yoluyla azalır
+function cunningham(r) {
+    return 1 + CONSTANTS.cunninghamB / (air.pressure * r);
+}
+
+// Düzeltilmiş Stokes sürüklemesi katsayısı: F = k·v
+function dragCoefficient(r) {
+    return 6 * Math.PI * airViscosity() * r / cunningham(r);
+}
+
+/**
+ * Serbest düşüş hızından yarıçap. v_f = 2r²Δρg·C(r)/(9η) ve C = 1 + b/(p·r)
+ * olduğundan r² + (b/p)·r = 9ηv_f/(2Δρg) ikinci derece denklemi çözülür.
+ */
+function radiusFromFall(vFall) {
+    const A = 9 * airViscosity() * vFall / (2 * (CONSTANTS.rho_oil - airDensity()) * CONSTANTS.g);
+    const h = CONSTANTS.cunninghamB / (2 * air.pressure);
+    return Math.sqrt(h * h + A) - h;
+}
+
+/**
+ * Düşüşte k·v_f = (m − m_hava)g, yükselişte k·v_y = qE − (m − m_hava)g,
+ * dolayısıyla q = k(v_f + v_y)·d/V. Denge yönteminde qE = (m − m_hava)g,
+ * yani q = (m − m_hava)g·d/V. Pozitif gerilimde (üst plaka +) yükselen ya da
+ * tutulan damla negatif yüklüdür.
+ */
+function computeEntry(p) {
+    const distance = parseFloat(document.getElementById('reticle-distance').value) * CONSTANTS.reticleSpacing;
+    const vFall = distance / p.tFall;
+    const radius = radiusFromFall(vFall);
+    let magnitude;
+    if (p.method === 'balancing') {
+        const effectiveMass = (4 / 3) * Math.PI * Math.pow(radius, 3) * (CONSTANTS.rho_oil - airDensity());
+        magnitude = effectiveMass * CONSTANTS.g * CONSTANTS.plateDistance / Math.abs(p.voltage);
+    } else {
+        const vRise = distance / p.tRise;
+        magnitude = dragCoefficient(radius) * (vFall + vRise) * CONSTANTS.plateDistance / Math.abs(p.voltage);
+    }
+    return {
+        method: p.method,
+        dropId: p.dropId,
+        distance: distance,
+        tFall: p.tFall,
+        tRise: p.tRise,
+        voltage: p.voltage,
+        radius: radius,
+        q: -Math.sign(p.voltage) * magnitude
+    };
+}
+
+function saveEntry() {
+    const p = notebook.pending;
+    if (!isPendingComplete(p)) return;
+    notebook.entries.push(computeEntry(p));
+    notebook.pending = { method: p.method, dropId: null, tFall: null, tRise: null, voltage: null };
+    updatePendingUI();
+    updateNotebook();
+}
+
+function clearNotebook() {
+    if (notebook.entries.length > 0 && !confirm("Tüm ölçümler silinsin mi?")) return;
+    notebook.entries = [];
+    updateNotebook();
+}
+
+/**
+ * Yüklerin en büyük ortak böleni. En küçük yük kümesinin ortalaması q₀ ise
+ * aday birim q₀/k'dır (k = 1, 2, ...). Her adayda ölçümlere n = round(|q|/e)
+ * atanır ve e = Σ|q|/Σn ile iyileştirilir; |q|/e değerleri tamsayılara yeterince
+ * yakın olan en büyük aday seçilir. Hata, |q|/n değerlerinin standart
+ * sapmasının √N'e bölümüdür. Bir tamsayı katından 0.3e'den uzak ölçümler
+ * ayrıca sayılır.
+ */
+function estimateCharge(entries) {
+    if (entries.length === 0) return null;
+    const charges = entries.map(en => Math.abs(en.q));
+    const smallest = Math.min(...charges);
+    const cluster = charges.filter(q => q < smallest * 1.25);
+    const base = cluster.reduce((a, b) => a + b, 0) / cluster.length;
+
+    let best = null;
+    for (let k = 1; k <= MAX_CHARGE_DIVISOR; k++) {
+        let e = base / k;
+        let multiples = [];
+        for (let iter = 0; iter < 3; iter++) {
+            multiples = charges.map(q => Math.max(1, Math.round(q / e)));
+            e = charges.reduce((a, b) => a + b, 0) / multiples.reduce((a, b) => a + b, 0);
+        }
+        const rms = Math.sqrt(charges.reduce((a, q, i) => a + Math.pow(q / e - multiples[i], 2), 0) / charges.length);
+        if (!best || rms < best.rms) best = { e: e, multiples: multiples, rms: rms };
+        if (rms < QUANTIZATION_TOLERANCE) break;
+    }
+
+    const e = best.e;
+    const perCharge = charges.map((q, i) => q / best.multiples[i]);
+    const n = perCharge.length;
+    const std = n > 1
+        ? Math.sqrt(perCharge.reduce((a, v) => a + (v - e) * (v - e), 0) / (n - 1))
+        : 0;
+    const outliers = charges.filter((q, i) => Math.abs(q / e - best.multiples[i]) > 0.3).length;
+
+    return { e: e, error: std / Math.sqrt(n), std: std, multiples: best.multiples, outliers: outliers };
+}
+
+function updateNotebook() {
+    notebook.result = estimateCharge(notebook.entries);
+    const result = notebook.result;
+
+    const rows = notebook.entries.map((en, i) => `
+        <tr>
+            <td>#${en.dropId}</td>
+            <td>${METHOD_LABELS[en.method]}</td>
+            <td>${en.tFall.toFixed(2)}</td>
+            <td>${en.tRise === null ? '—' : en.tRise.toFixed(2)}</td>
+            <td>${en.voltage}</td>
+            <td>${(en.radius * 1e6).toFixed(3)}</td>
+            <td>${(en.q * 1e19).toFixed(2)}</td>
+            <td>${result.multiples[i]}</td>
+        </tr>`).join('');
+    document.getElementById('notebook-table').innerHTML = `
+        <tr><th>Damla</th><th>Yöntem</th><th>t<sub>d</sub> (s)</th><th>t<sub>y</sub> (s)</th><th>V</th><th>r (µm)</th><th>q (10⁻¹⁹ C)</th><th>n</th></tr>${rows}`;
+
+    const summary = document.getElementById('notebook-result');
+    if (!result) {
+        summary.innerHTML = 'Henüz ölçüm yok.';
+    } else {
+        summary.innerHTML = `
+            N = ${notebook.entries.length} ölçüm<br>
+            <strong>e = (${(result.e * 1e19).toFixed(3)} ± ${(result.error * 1e19).toFixed(3)}) × 10⁻¹⁹ C</strong><br>
+            ${describeMethods()}
+            <small>Kabul edilen: ${(CONSTANTS.e * 1e19).toFixed(3)} × 10⁻¹⁹ C</small>
+            ${notebook.entries.length < 20 ? '<br><small>Güvenilir bir sonuç için en az 20 damla ölçün.</small>' : ''}
+            ${result.outliers > 0 ? `<br><small>${result.outliers} ölçüm bir tamsayı katına uymuyor.</small>` : ''}`;
+    }
+
+    drawHistogram();
+}
+
+// Her iki yöntemle de ölçüm varsa e ayrı ayrı tahmin edilir, aynı damla topluluğunda karşılaştırma için
+function describeMethods() {
+    const byMethod = Object.keys(METHOD_LABELS).map(method => {
+        const entries = notebook.entries.filter(en => en.method === method);
+        return { method: method, count: entries.length, result: estimateCharge(entries) };
+    });
+    if (byMethod.some(m => m.count === 0)) return '';
+    return byMethod.map(m => `<small>${METHOD_LABELS[m.method]} (N = ${m.count}): ` +
+        `(${(m.result.e * 1e19).toFixed(3)} ± ${(m.result.error * 1e19).toFixed(3)}) × 10⁻¹⁹ C</small><br>`).join('');
+}
+
+// |q| dağılımı, tahmin edilen e'nin katları kesikli çizgilerle
+function drawHistogram() {
+    const histCanvas = document.getElementById('charge-histogram');
+    const hctx = histCanvas.getContext('2d');
+    const w = histCanvas.width;
+    const h = histCanvas.height;
+    const padLeft = 20;
+    const padBottom = 18;
+
+    hctx.fillStyle = '#000';
+    hctx.fillRect(0, 0, w, h);
+
+    const charges = notebook.entries.map(en => Math.abs(en.q) * 1e19);
+    const maxQ = Math.max(5, Math.ceil(Math.max(0, ...charges)) + 1); // 10⁻¹⁹ C
+    const binWidth = 0.1;
+    const bins = new Array(Math.ceil(maxQ / binWidth)).fill(0);
+    charges.forEach(q => { bins[Math.min(bins.length - 1, Math.floor(q / binWidth))]++; });
+    const maxCount = Math.max(1, ...bins);
+
+    const plotW = w - padLeft;
+    const plotH = h - padBottom - 5;
+    const toX = q => padLeft + (q / maxQ) * plotW;
+
+    if (notebook.result) {
+        hctx.strokeStyle = 'rgba(229, 115, 115, 0.7)';
+        hctx.setLineDash([3, 3]);
+        for (let k = 1; k * notebook.result.e * 1e19 <= maxQ; k++) {
+            const x = toX(k * notebook.result.e * 1e19);
+            hctx.beginPath();
+            hctx.moveTo(x, 5);
+            hctx.lineTo(x, h - padBottom);
+            hctx.stroke();
+        }
+        hctx.setLineDash([]);
+    }
+
+    hctx.fillStyle = '#64b5f6';
+    bins.forEach((count, i) => {
+        if (count === 0) return;
+        const barH = (count / maxCount) * plotH;
+        hctx.fillRect(toX(i * binWidth), h - padBottom - barH, Math.max(1, toX(binWidth) - padLeft - 1), barH);
+    });
+
+    // Axis, ticks every 10⁻¹⁹ C
+    hctx.strokeStyle = '#666';
+    hctx.beginPath();
+    hctx.moveTo(padLeft, h - padBottom);
+    hctx.lineTo(w, h - padBottom);
+    hctx.stroke();
+    hctx.fillStyle = '#888';
+    hctx.font = '10px Roboto Mono';
+    hctx.textAlign = 'center';
+    for (let q = 0; q <= maxQ; q++) {
+        hctx.fillText(q, toX(q), h - 5);
+    }
+    hctx.textAlign = 'left';
+    hctx.fillText(maxCount, 2, 12);
+}
+
+function exportNotebook() {
+    if (notebook.entries.length === 0) {
+        alert("Dışa aktarılacak veri yok!");
+        return;
+    }
+
+    let csvContent = "data:text/csv;charset=utf-8,";
+    csvContent += "Damla,Yontem,Mesafe(mm),t_dusus(s),t_yukselis(s),V(V),r(um),q(C),n\n";
+    notebook.entries.forEach((en, i) => {
+        csvContent += `${en.dropId},${en.method},${(en.distance * 1e3).toFixed(2)},${en.tFall.toFixed(2)},${en.tRise === null ? '' : en.tRise.toFixed(2)},${en.voltage},${(en.radius * 1e6).toFixed(4)},${en.q.toExponential(4)},${notebook.result.multiples[i]}\n`;
+    });
+    csvContent += `\ne(C),${notebook.result.e.toExponential(4)}\ne_hata(C),${notebook.result.error.toExponential(4)}\n`;
+
+    const encodedUri = encodeURI(csvContent);
+    const link = document.createElement("a");
+    link.setAttribute("href", encodedUri);
+    link.setAttribute("download", "millikan_olcumler.csv");
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+// --- Balancing Method ---
+// Denge yöntemi: gerilim, seçili damla havada asılı kalana kadar ayarlanır (qE = m_etkin·g),
+// sonra alan kapatılıp serbest düşüş süresinden yarıçap bulunur.
+
+const DRIFT_WINDOW = 8; // Kalan sürüklenme için kullanılan iz noktası sayısı (2 s)
+const AUTO_BALANCE_WINDOW = 3; // s, otomatik aramada her gerilimde sürüklenmenin ölçüldüğü süre
+const AUTO_BALANCE_MAX_STEPS = 12;
+const AUTO_BALANCE_TOLERANCE = 0.01; // Önerilen gerilim bu oranda değişmiyorsa denge bulunmuş sayılır
+
+let balance = {
+    auto: null // {dropId, samples: [{V, drift}], y0, t0}
+};
+
+// Damlanın son iki saniyedeki ortalama düşey hızı (m/s, + aşağı), izden ölçülür
+function measuredDrift(drop) {
+    const n = Math.min(DRIFT_WINDOW, drop.trail.length);
+    if (n < 2) return null;
+    const a = drop.trail[drop.trail.length - n];
+    const b = drop.trail[drop.trail.length - 1];
+    return (b.y - a.y) / ((n - 1) * TRAIL_INTERVAL);
+}
+
+function updateDriftReadout() {
+    const el = document.getElementById('drift-display');
+    const drift = selectedDrop ? measuredDrift(selectedDrop) : null;
+    if (drift === null) {
+        el.textContent = '--';
+        return;
+    }
+    const um = drift * 1e6;
+    el.textContent = `${um >= 0 ? '+' : ''}${um.toFixed(1)} µm/s ${um >= 0 ? '(aşağı)' : '(yukarı)'}`;
+}
+
+/**
+ * Otomatik tutma gerilimi araması. Sürüklenme hızı gerilimle doğrusaldır,
+ * v(V) = v_g − qV/(d·k); her adımda v bir pencere boyunca ölçülür, o ana
+ * kadarki bütün ölçümlere doğru uydurulur ve v = 0 olan gerilim bir sonraki
+ * deneme olur. Brown hareketi her ölçümü gürültülü yaptığından doğru uydurma
+ * bu gürültüyü ortalar; önerilen gerilim artık değişmediğinde arama durur.
+ */
+function toggleAutoBalance() {
+    if (balance.auto) {
+        stopAutoBalance("Otomatik arama durduruldu.");
+        return;
+    }
+    if (!selectedDrop) {
+        alert("Dengelemek için önce bir damla seçmelisiniz!");
+        return;
+    }
+    balance.auto = { dropId: selectedDrop.id, samples: [], y0: selectedDrop.y, t0: selectedDrop.age };
+    document.getElementById('auto-balance-btn').textContent = "Aramayı Durdur";
+    document.getElementById('balance-status').textContent = "Sürüklenme ölçülüyor...";
+}
+
+function stopAutoBalance(message) {
+    balance.auto = null;
+    document.getElementById('auto-balance-btn').textContent = "Otomatik Dengele";
+    if (message) document.getElementById('balance-status').textContent = message;
+}
+
+function stepAutoBalance() {
+    const auto = balance.auto;
+    if (!selectedDrop || selectedDrop.id !== auto.dropId) {
+        stopAutoBalance("Damla kayboldu.");
+        return;
+    }
+    const elapsed = selectedDrop.age - auto.t0;
+    if (elapsed < AUTO_BALANCE_WINDOW) return;
+
+    auto.samples.push({ V: voltage, drift: (selectedDrop.y - auto.y0) / elapsed });
+
+    let next;
+    if (auto.samples.length === 1) {
+        next = voltage + (voltage >= 0 ? 300 : -300);
+    } else {
+        // Least-squares line through all (V, drift) samples
+        const n = auto.samples.length;
+        const mV = auto.samples.reduce((a, p) => a + p.V, 0) / n;
+        const mD = auto.samples.reduce((a, p) => a + p.drift, 0) / n;
+        let sVV = 0;
+        let sVD = 0;
+        auto.samples.forEach(p => {
+            sVV += (p.V - mV) * (p.V - mV);
+            sVD += (p.V - mV) * (p.drift - mD);
+        });
+        const slope = sVD / sVV;
+        // Beklenen Brown gürültüsü: √(2D/t); eğim bunun altında kalıyorsa alan damlayı etkilemiyor
+        const noise = Math.sqrt(2 * selectedDrop.diffusionCoefficient() / AUTO_BALANCE_WINDOW);
+        if (Math.abs(slope) * Math.sqrt(sVV / n) < noise) {
+            stopAutoBalance("Gerilim damlayı etkilemiyor; damla yüksüz olabilir.");
+            return;
+        }
+        next = mV - mD / slope;
+    }
+    next = Math.round(next);
+    if (Math.abs(next) > 2000) {
+        stopAutoBalance("Gerekli gerilim 2000 V sınırının üstünde.");
+        return;
+    }
+    if (auto.samples.length >= 3 && Math.abs(next - voltage) <= Math.max(1, Math.abs(voltage) * AUTO_BALANCE_TOLERANCE)) {
+        setVoltage(next);
+        stopAutoBalance(`Dengede: V = ${next} V (${auto.samples.length} ölçüm)`);
+        return;
+    }
+    if (auto.samples.length >= AUTO_BALANCE_MAX_STEPS) {
+        stopAutoBalance("Denge bulunamadı; elle ayarlayın.");
+        return;
+    }
+
+    setVoltage(next);
+    auto.y0 = selectedDrop.y;
+    auto.t0 = selectedDrop.age;
+    document.getElementById('balance-status').textContent = `Deneniyor: V = ${next} V`;
+}
+
+// Ölçüm yöntemi değişince yarım kalan ölçüm silinir ve ilgili düğmeler gösterilir
+function updateMethodUI() {
+    const method = document.getElementById('method-select').value;
+    const balancing = method === 'balancing';
+    document.getElementById('record-rise-btn').style.display = balancing ? 'none' : '';
+    document.getElementById('record-hold-btn').style.display = balancing ? '' : 'none';
+    document.getElementById('balance-controls').style.display = balancing ? 'block' : 'none';
+    document.getElementById('pending-rise-label').innerHTML = balancing ? 'V<sub>tutma</sub>:' : 't<sub>yükseliş</sub>:';
+    if (!balancing && balance.auto) stopAutoBalance();
+    notebook.pending = { method: method, dropId: null, tFall: null, tRise: null, voltage: null };
+    updatePendingUI();
+}
+
 // --- Event Listeners ---
 document.getElementById('voltage-slider').addEventListener('input', updateVoltageFromSlider);
 document.getElementById('voltage-input').addEventListener('change', updateVoltageFromInput);
@@ -501,7 +1045,22 @@ document.getElementById('spray-btn').addEventListener('click', sprayDrops);
 document.getElementById('start-stop-btn').addEventListener('click', toggleStopwatch);
 document.getElementById('reset-btn').addEventListener('click', resetStopwatch);
 document.getElementById('zoom-btn').addEventListener('click', toggleZoom);
+document.getElementById('ionizer-btn').addEventListener('click', toggleIonizer);
+document.getElementById('air-temp-slider').addEventListener('input', updateAirFromSliders);
+document.getElementById('air-pressure-slider').addEventListener('input', updateAirFromSliders);
+
+document.getElementById('record-fall-btn').addEventListener('click', () => recordTime('fall'));
+document.getElementById('record-rise-btn').addEventListener('click', () => recordTime('rise'));
+document.getElementById('record-hold-btn').addEventListener('click', () => recordTime('hold'));
+document.getElementById('auto-balance-btn').addEventListener('click', toggleAutoBalance);
+document.getElementById('method-select').addEventListener('change', updateMethodUI);
+document.getElementById('save-entry-btn').addEventListener('click', saveEntry);
+document.getElementById('export-btn').addEventListener('click', exportNotebook);
+document.getElementById('clear-notebook-btn').addEventListener('click', clearNotebook);
 
 // Init
+updateAirFromSliders();
+updateMethodUI();
+updateNotebook();
 requestAnimationFrame(loop);
 sprayDrops(); // Start with some drops
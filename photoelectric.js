@@ -4,41 +4,117 @@
 
 const canvas = document.getElementById('photoelectricCanvas');
 const ctx = canvas.getContext('2d');
+const ivCanvas = document.getElementById('ivCanvas');
+const ivCtx = ivCanvas.getContext('2d');
+const fitCanvas = document.getElementById('fitCanvas');
+const fitCtx = fitCanvas.getContext('2d');
 
 // UI Elements
 const els = {
     wavelength: document.getElementById('wavelength-slider'),
     wavelengthVal: document.getElementById('wavelength-val'),
-    intensity: document.getElementById('intensity-slider'),
-    intensityVal: document.getElementById('intensity-val'),
+    wavelengthContainer: document.getElementById('wavelength-container'),
+    source: document.getElementById('source-select'),
+    led: document.getElementById('led-select'),
+    ledContainer: document.getElementById('led-container'),
+    lampTemp: document.getElementById('lamp-temp-slider'),
+    lampTempVal: document.getElementById('lamp-temp-val'),
+    lampTempContainer: document.getElementById('lamp-temp-container'),
+    filter: document.getElementById('filter-select'),
+    filterContainer: document.getElementById('filter-container'),
+    irradiance: document.getElementById('irradiance-slider'),
+    irradianceVal: document.getElementById('irradiance-val'),
+    area: document.getElementById('area-slider'),
+    areaVal: document.getElementById('area-val'),
     voltage: document.getElementById('voltage-slider'),
     voltageVal: document.getElementById('voltage-val'),
+    cathodeTemp: document.getElementById('cathode-temp-slider'),
+    cathodeTempVal: document.getElementById('cathode-temp-val'),
     metal: document.getElementById('metal-select'),
     current: document.getElementById('current-display'),
     ke: document.getElementById('ke-display'),
     photonEnergy: document.getElementById('photon-energy-display'),
+    photonFlux: document.getElementById('photon-flux-display'),
+    qe: document.getElementById('qe-display'),
+    intensityEffect: document.getElementById('intensity-effect'),
     thresholdFreq: document.getElementById('threshold-freq'),
-    btnZero: document.getElementById('btn-zero-voltage')
+    btnZero: document.getElementById('btn-zero-voltage'),
+    btnSweep: document.getElementById('btn-sweep'),
+    sweepStatus: document.getElementById('sweep-status'),
+    saturation: document.getElementById('saturation-display'),
+    stopping: document.getElementById('stopping-display'),
+    v0Input: document.getElementById('v0-input'),
+    btnRecord: document.getElementById('btn-record'),
+    btnClearNotebook: document.getElementById('btn-clear-notebook'),
+    notebookBody: document.querySelector('#notebook-table tbody'),
+    fitH: document.getElementById('fit-h'),
+    fitPhi: document.getElementById('fit-phi'),
+    fitThreshold: document.getElementById('fit-threshold')
 };
 
 // State
 const state = {
     lambda: 510, // nm
-    intensity: 5, // %
+    source: 'mono',
+    led: 'uv365',
+    lampTemp: 2800, // K
+    filter: 'none',
+    spectrum: { lines: [], meanPhotonEnergy: 0, transmitted: 1 }, // see updateSpectrum
+    emission: { photonFlux: 0, electronRate: 0, particleRate: 0, cumulative: [] }, // see updateEmission
+    irradiance: 1, // W/m², before the filter
+    area: 1, // cm², illuminated cathode area
     voltage: 0, // V
+    cathodeTemp: 300, // K
     workFunction: 2.36, // Sodium
     metalName: 'sodium',
     electrons: [],
-    ammeterCurrent: 0,
+    ammeterCurrent: 0, // A
     time: 0,
+    timeScale: 1, // physics steps per frame
+    lastFrame: 0, // timestamp of the previous frame
+    frameDt: 0, // s, measured duration of the current frame
     wavePhase: 0,
-    hitHistory: [],
-    lastUIRefresh: 0
+    hitHistory: [], // { t, q } anode hits with the charge (C) each particle carries
+    lastUIRefresh: 0,
+    sweep: {
+        active: false,
+        stepIndex: 0,
+        stepStart: 0, // timestamp the current step was applied
+        sampleStart: 0, // timestamp sampling began (0 = still settling)
+        charge: 0, // C collected during sampling
+        points: [], // { v, i } with i in A
+        lambda: 510, // nm, wavelength the sweep was taken at
+        saturation: null,
+        stoppingPotential: null
+    },
+    notebook: [] // { lambda, freq, v0, metal }
 };
 
 // Constants
 const HC = 1240;
+const H_PLANCK = 6.626e-34; // J·s
+const E_CHARGE = 1.602e-19; // C
+const C_LIGHT = 2.998e8; // m/s
+const K_BOLTZMANN = 8.617e-5; // eV/K
 const SCALE_SPEED = 2;
+const FPS = 60; // nominal frame rate the physics step is tuned to
+const MAX_FRAME_DT = 0.1; // s, longest frame charged to the ammeter (e.g. after the tab was hidden)
+
+// Each drawn electron stands for many real ones. The drawn rate saturates at
+// MAX_PARTICLES_PER_FRAME; every particle carries the weight that keeps the
+// ammeter reading equal to the real emission current.
+const MAX_PARTICLES_PER_FRAME = 3;
+const PARTICLE_RATE_HALF = 1e10; // electrons/s at which half the maximum is drawn
+const BULB_FULL_CURRENT = 50e-9; // A
+
+// I-V Sweep
+const SWEEP = {
+    step: 0.2, // V
+    substeps: 6, // physics steps per frame while sweeping
+    settleTime: 700, // ms to let the electron cloud adapt to the new voltage
+    sampleTime: 500, // ms of hit counting per point
+    zeroFraction: 0.02 // current below this fraction of saturation counts as zero
+};
 
 // Geometry
 const GEO = {
@@ -58,31 +134,115 @@ const GEO = {
     boxY: 500
 };
 
+// phi: work function (eV), fermi: free-electron Fermi energy (eV)
+// qeMax / qeRise: quantum efficiency plateau and the photon energy above
+// threshold (eV) where the Fowler square law reaches it, see quantumEfficiency
 const METALS = {
-    sodium: { phi: 2.36, name: 'Sodyum' },
-    calcium: { phi: 2.90, name: 'Kalsiyum' },
-    zinc: { phi: 4.30, name: 'Çinko' },
-    copper: { phi: 4.70, name: 'Bakır' },
-    platinum: { phi: 6.35, name: 'Platin' },
-    unknown: { phi: 3.50, name: '?' }
+    sodium: { phi: 2.36, fermi: 3.24, qeMax: 2e-3, qeRise: 1.5, name: 'Sodyum' },
+    calcium: { phi: 2.90, fermi: 4.69, qeMax: 1e-3, qeRise: 1.5, name: 'Kalsiyum' },
+    zinc: { phi: 4.30, fermi: 9.47, qeMax: 5e-4, qeRise: 2.0, name: 'Çinko' },
+    copper: { phi: 4.70, fermi: 7.00, qeMax: 3e-4, qeRise: 2.0, name: 'Bakır' },
+    platinum: { phi: 6.35, fermi: 9.00, qeMax: 2e-4, qeRise: 2.0, name: 'Platin' }, // fermi approximate, not a free-electron metal
+    unknown: { phi: 3.50, fermi: 5.00, qeMax: 5e-4, qeRise: 1.5, name: '?' } // phi is re-rolled per session in randomizeUnknownMetal
+};
+
+// Light Sources
+// Visible Hg lines with approximate relative strengths; 253.7 nm is absorbed by the glass envelope
+const MERCURY_LINES = [
+    { lambda: 365.0, weight: 0.60 },
+    { lambda: 404.7, weight: 0.35 },
+    { lambda: 435.8, weight: 0.80 },
+    { lambda: 546.1, weight: 1.00 },
+    { lambda: 577.0, weight: 0.25 },
+    { lambda: 579.1, weight: 0.25 }
+];
+
+const LEDS = {
+    uv365: { center: 365, fwhm: 12 },
+    violet405: { center: 405, fwhm: 15 },
+    blue470: { center: 470, fwhm: 25 },
+    green525: { center: 525, fwhm: 35 },
+    amber590: { center: 590, fwhm: 18 },
+    red630: { center: 630, fwhm: 20 }
 };
 
+const FILTER_FWHM = 10; // nm, narrow-band interference filters
+const SPECTRUM_BIN = 2; // nm, sampling step for continuous spectra
+const SPECTRUM_CUTOFF = 1e-3; // components weaker than this (relative to strongest) are ignored for KEmax
+
+// Hidden work function range for the challenge sample (eV)
+const UNKNOWN_PHI_RANGE = { min: 2.0, max: 5.0 };
+
 function init() {
+    randomizeUnknownMetal();
+    updateSpectrum();
     updatePhysics();
+    drawIVCurve();
+    drawFitPlot();
     addListeners();
     requestAnimationFrame(loop);
 }
 
 function addListeners() {
     els.wavelength.addEventListener('input', (e) => {
+        clearSweep();
         state.lambda = parseInt(e.target.value);
         els.wavelengthVal.innerText = state.lambda + ' nm';
+        updateSpectrum();
         updatePhysics();
     });
 
-    els.intensity.addEventListener('input', (e) => {
-        state.intensity = parseInt(e.target.value);
-        els.intensityVal.innerText = state.intensity + ' %';
+    els.source.addEventListener('change', (e) => {
+        clearSweep();
+        state.source = e.target.value;
+        updateSourceControls();
+        updateSpectrum();
+        updatePhysics();
+    });
+
+    els.led.addEventListener('change', (e) => {
+        clearSweep();
+        state.led = e.target.value;
+        updateSpectrum();
+        updatePhysics();
+    });
+
+    els.lampTemp.addEventListener('input', (e) => {
+        clearSweep();
+        state.lampTemp = parseInt(e.target.value);
+        els.lampTempVal.innerText = state.lampTemp + ' K';
+        updateSpectrum();
+        updatePhysics();
+    });
+
+    els.filter.addEventListener('change', (e) => {
+        clearSweep();
+        state.filter = e.target.value;
+        updateSpectrum();
+        updatePhysics();
+    });
+
+    els.irradiance.addEventListener('input', (e) => {
+        stopSweep();
+        const before = { current: state.emission.electronRate * E_CHARGE, irradiance: state.irradiance };
+        state.irradiance = parseFloat(e.target.value);
+        els.irradianceVal.innerText = state.irradiance.toFixed(1) + ' W/m²';
+        updatePhysics();
+        showIntensityEffect(before);
+    });
+
+    els.area.addEventListener('input', (e) => {
+        stopSweep();
+        state.area = parseFloat(e.target.value);
+        els.areaVal.innerText = state.area.toFixed(1) + ' cm²';
+        updatePhysics();
+    });
+
+    els.cathodeTemp.addEventListener('input', (e) => {
+        stopSweep();
+        state.cathodeTemp = parseInt(e.target.value);
+        els.cathodeTempVal.innerText = state.cathodeTemp + ' K';
+        updatePhysics();
     });
 
     els.voltage.addEventListener('input', (e) => {
@@ -92,10 +252,12 @@ function addListeners() {
     });
 
     els.metal.addEventListener('change', (e) => {
+        clearSweep();
         state.metalName = e.target.value;
         state.workFunction = METALS[state.metalName].phi;
         state.electrons = [];
         updatePhysics();
+        updateNotebook();
     });
 
     els.btnZero.addEventListener('click', () => {
@@ -104,51 +266,312 @@ function addListeners() {
         els.voltageVal.innerText = '0.00 V';
         updatePhysics();
     });
+
+    els.btnSweep.addEventListener('click', () => {
+        if (state.sweep.active) {
+            stopSweep();
+        } else {
+            startSweep();
+        }
+    });
+
+    els.btnRecord.addEventListener('click', recordMeasurement);
+
+    els.btnClearNotebook.addEventListener('click', () => {
+        state.notebook = [];
+        updateNotebook();
+    });
+
+    els.notebookBody.addEventListener('click', (e) => {
+        const index = e.target.dataset.index;
+        if (index === undefined) return;
+        state.notebook.splice(parseInt(index), 1);
+        updateNotebook();
+    });
+}
+
+function randomizeUnknownMetal() {
+    const range = UNKNOWN_PHI_RANGE.max - UNKNOWN_PHI_RANGE.min;
+    METALS.unknown.phi = UNKNOWN_PHI_RANGE.min + Math.random() * range;
+}
+
+// --- Light Sources ---
+
+function updateSourceControls() {
+    const src = state.source;
+    els.wavelengthContainer.style.display = src === 'mono' ? '' : 'none';
+    els.ledContainer.style.display = src === 'led' ? '' : 'none';
+    els.lampTempContainer.style.display = src === 'tungsten' ? '' : 'none';
+    els.filterContainer.style.display = src === 'mono' ? 'none' : '';
+}
+
+function gaussian(x, center, fwhm) {
+    const sigma = fwhm / 2.3548;
+    return Math.exp(-0.5 * ((x - center) / sigma) ** 2);
+}
+
+// Photon spectral flux of a blackbody, ∝ λ⁻⁴ / (exp(hc/λkT) - 1)
+function blackbodyPhotonFlux(lambda, temp) {
+    const x = HC / (lambda * K_BOLTZMANN * temp);
+    return Math.pow(lambda / 500, -4) / Math.expm1(x);
+}
+
+/**
+ * Builds the emitted photon spectrum as discrete { lambda, weight } lines.
+ * Weights are fractions of the unfiltered photon rate; the filter wheel
+ * multiplies them, so `transmitted` is the surviving fraction of photons.
+ */
+function updateSpectrum() {
+    const wlMin = parseFloat(els.wavelength.min);
+    const wlMax = parseFloat(els.wavelength.max);
+    let lines = [];
+
+    if (state.source === 'mono') {
+        lines = [{ lambda: state.lambda, weight: 1 }];
+    } else if (state.source === 'mercury') {
+        lines = MERCURY_LINES.map(l => ({ lambda: l.lambda, weight: l.weight }));
+    } else if (state.source === 'led') {
+        const led = LEDS[state.led];
+        for (let wl = led.center - 2 * led.fwhm; wl <= led.center + 2 * led.fwhm; wl += SPECTRUM_BIN) {
+            lines.push({ lambda: wl, weight: gaussian(wl, led.center, led.fwhm) });
+        }
+    } else if (state.source === 'tungsten') {
+        for (let wl = wlMin; wl <= wlMax; wl += SPECTRUM_BIN) {
+            lines.push({ lambda: wl, weight: blackbodyPhotonFlux(wl, state.lampTemp) });
+        }
+    }
+
+    const total = lines.reduce((a, l) => a + l.weight, 0);
+    const meanPhotonEnergy = total > 0 ? lines.reduce((a, l) => a + l.weight * HC / l.lambda, 0) / total : 0;
+    lines.forEach(l => { l.weight /= total; });
+
+    if (state.source !== 'mono' && state.filter !== 'none') {
+        const center = parseFloat(state.filter);
+        lines.forEach(l => { l.weight *= gaussian(l.lambda, center, FILTER_FWHM); });
+    }
+
+    const strongest = Math.max(0, ...lines.map(l => l.weight));
+    lines = lines.filter(l => l.weight > strongest * SPECTRUM_CUTOFF);
+
+    state.spectrum = {
+        lines: lines,
+        meanPhotonEnergy: meanPhotonEnergy,
+        transmitted: lines.reduce((a, l) => a + l.weight, 0)
+    };
+}
+
+// Fowler function F(x), x = (hν - φ) / kT; the photoyield goes as T²·F(x)
+function fowlerF(x) {
+    let sum = 0;
+    if (x <= 0) {
+        for (let n = 1; n <= 20; n++) sum += (n % 2 ? 1 : -1) * Math.exp(n * x) / (n * n);
+        return sum;
+    }
+    for (let n = 1; n <= 20; n++) sum += (n % 2 ? 1 : -1) * Math.exp(-n * x) / (n * n);
+    return Math.PI * Math.PI / 6 + x * x / 2 - sum;
+}
+
+/**
+ * Electrons emitted per incident photon. Follows the Fowler law, which is
+ * (hν - φ)² well above threshold and keeps a thermal tail below it, and
+ * levels off at the metal's qeMax once hν - φ reaches qeRise.
+ */
+function quantumEfficiency(photonE, metal, workFn) {
+    const kT = K_BOLTZMANN * state.cathodeTemp;
+    const fowler = 2 * kT * kT * fowlerF((photonE - workFn) / kT);
+    return metal.qeMax * Math.min(1, fowler / (metal.qeRise * metal.qeRise));
+}
+
+/**
+ * Converts the spectrum into absolute rates: photon flux on the cathode,
+ * emitted electrons per second and the number of particles drawn per frame.
+ * Photon wavelengths for spawning are weighted by flux × QE.
+ */
+function updateEmission() {
+    const { lines, meanPhotonEnergy } = state.spectrum;
+    const metal = METALS[state.metalName];
+    const power = state.irradiance * state.area * 1e-4; // W
+    const sourceFlux = meanPhotonEnergy > 0 ? power / (meanPhotonEnergy * E_CHARGE) : 0;
+
+    let photonFlux = 0;
+    let electronRate = 0;
+    const rates = lines.map(l => {
+        const flux = sourceFlux * l.weight;
+        const rate = flux * quantumEfficiency(HC / l.lambda, metal, state.workFunction);
+        photonFlux += flux;
+        electronRate += rate;
+        return rate;
+    });
+
+    let acc = 0;
+    const cumulative = rates.map(r => (acc += electronRate > 0 ? r / electronRate : 0));
+
+    state.emission = {
+        photonFlux: photonFlux,
+        electronRate: electronRate,
+        particleRate: MAX_PARTICLES_PER_FRAME * electronRate / (electronRate + PARTICLE_RATE_HALF),
+        cumulative: cumulative
+    };
+}
+
+// Draws a photon wavelength with probability proportional to the electrons it frees
+function samplePhotonWavelength() {
+    const { lines } = state.spectrum;
+    const { cumulative } = state.emission;
+    const u = Math.random();
+    for (let i = 0; i < lines.length; i++) {
+        if (u <= cumulative[i]) return lines[i].lambda;
+    }
+    return lines[lines.length - 1].lambda;
+}
+
+// Picks nA or μA so the mantissa stays readable
+function currentUnit(maxAmps) {
+    return maxAmps >= 1e-6 ? { scale: 1e6, label: 'μA' } : { scale: 1e9, label: 'nA' };
+}
+
+function formatCurrent(amps) {
+    const unit = currentUnit(Math.abs(amps));
+    return (amps * unit.scale).toFixed(2) + ' ' + unit.label;
+}
+
+// Shows that the expected current follows the irradiance while KEmax does not move
+function showIntensityEffect(before) {
+    const lambda = getEffectiveWavelength();
+    if (lambda === null) {
+        els.intensityEffect.innerText = 'Filtre ışığı geçirmiyor, katoda foton ulaşmıyor';
+        return;
+    }
+    const after = state.emission.electronRate * E_CHARGE;
+    const kemax = Math.max(0, HC / lambda - state.workFunction);
+    const keText = state.metalName === 'unknown' ? '?' : kemax.toFixed(2);
+
+    if (before && before.current > 0 && after > 0) {
+        els.intensityEffect.innerText =
+            `Işınım ×${(state.irradiance / before.irradiance).toFixed(2)} → akım ×${(after / before.current).toFixed(2)}, ` +
+            `KEmax = ${keText} eV (değişmedi)`;
+    } else {
+        els.intensityEffect.innerText = `KEmax = ${keText} eV, ışınımdan bağımsız`;
+    }
+}
+
+// Shortest significant wavelength; it alone sets KEmax and V₀. null when the filter passes no light
+function getEffectiveWavelength() {
+    const { lines } = state.spectrum;
+    if (lines.length === 0) return null;
+    return Math.min(...lines.map(l => l.lambda));
 }
 
 function updatePhysics() {
-    const energy = HC / state.lambda;
-    const thresholdFreqHz = (state.workFunction * 1.602e-19) / 6.626e-34;
+    updateEmission();
+
+    const lambda = getEffectiveWavelength();
+    const energy = lambda === null ? null : HC / lambda;
+    const thresholdFreqHz = (state.workFunction * E_CHARGE) / H_PLANCK;
     const tfTHz = (thresholdFreqHz / 1e12).toFixed(2);
-    els.thresholdFreq.innerText = tfTHz;
-    els.photonEnergy.innerText = energy.toFixed(2) + ' eV';
+    els.photonEnergy.innerText = energy === null ? '-- eV' : (state.source === 'mono' ? '' : 'maks. ') + energy.toFixed(2) + ' eV';
+    els.photonFlux.innerText = state.emission.photonFlux.toExponential(2) + ' /s';
+
+    const qe = state.emission.photonFlux > 0 ? state.emission.electronRate / state.emission.photonFlux : 0;
+    showIntensityEffect(null);
 
     let kemax = energy - state.workFunction;
     if (kemax < 0) kemax = 0;
-    els.ke.innerText = kemax.toFixed(2) + ' eV';
+
+    // The challenge sample must be measured, not read off the readouts.
+    // A QE dropping to zero would give its threshold away as well.
+    if (state.metalName === 'unknown') {
+        els.thresholdFreq.innerText = '?';
+        els.ke.innerText = '? eV';
+        els.qe.innerText = '?';
+    } else {
+        els.qe.innerText = qe > 0 ? qe.toExponential(1) : '0';
+        els.thresholdFreq.innerText = tfTHz;
+        els.ke.innerText = energy === null ? '-- eV' : kemax.toFixed(2) + ' eV';
+    }
 }
 
-function spawnElectron(x, y, normalAngle) {
-    const photonE = HC / state.lambda;
-    const workFn = state.workFunction;
+// Fermi-Dirac occupation of a state at energy e relative to the Fermi level
+function fermiDirac(e, kT) {
+    return 1 / (1 + Math.exp(e / kT));
+}
+
+/**
+ * Initial energy (relative to E_F) of the electron the photon lifts out,
+ * drawn from the free-electron density of states √(E_F + E) times the
+ * Fermi-Dirac occupation, restricted to states that can escape (E ≥ eMin).
+ */
+function sampleInitialEnergy(eMin, kT, fermi) {
+    const eMax = Math.max(eMin, 0) + 10 * kT;
+    const gMax = Math.sqrt(fermi + eMax);
+    const fRef = eMin > 0 ? fermiDirac(eMin, kT) : 1;
+
+    for (let tries = 0; tries < 100; tries++) {
+        const e = eMin + Math.random() * (eMax - eMin);
+        const weight = Math.sqrt(fermi + e) / gMax * fermiDirac(e, kT) / fRef;
+        if (Math.random() < weight) return e;
+    }
+    return eMin;
+}
 
-    if (photonE <= workFn) return;
+function spawnElectron(x, y, normalAngle, photonE, weight) {
+    const workFn = state.workFunction;
+    const metal = METALS[state.metalName];
+    const kT = K_BOLTZMANN * state.cathodeTemp;
 
-    const maxKE = photonE - workFn;
-    const ke = maxKE * (0.9 + Math.random() * 0.1);
+    // Lowest initial energy that still clears the work function barrier.
+    // Below threshold (eMin > 0) the emission rate is already in the QE.
+    const eMin = Math.max(workFn - photonE, -metal.fermi);
 
+    const ke = photonE - workFn + sampleInitialEnergy(eMin, kT, metal.fermi);
     const speed = Math.sqrt(ke) * SCALE_SPEED;
 
     // Emission Direction:
-    // Should be predominantly along the Normal Vector (towards focus).
-    // Normal Angle is the angle from the emission point to the center of curvature.
-    // If Cathode is on Right, and Center is Left, Normal is roughly Pi (180 deg).
-    // But it varies with arc.
-
-    // Add random spread to normal
-    const spread = (Math.random() - 0.5) * 1.0; // +/- 0.5 rad approx (30 deg)
-    const angle = normalAngle + spread;
+    // Lambert (cosine) law about the surface normal, which points from the
+    // emission point to the center of curvature. In 3D sinθ = √u; only the
+    // in-plane part of the tangential velocity is kept for the 2D tube.
+    const sinT = Math.sqrt(Math.random());
+    const cosT = Math.sqrt(1 - sinT * sinT);
+    const azimuth = Math.random() * Math.PI * 2;
+    const vn = speed * cosT;
+    const vt = speed * sinT * Math.cos(azimuth);
 
     state.electrons.push({
         x: x,
         y: y,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
+        vx: Math.cos(normalAngle) * vn - Math.sin(normalAngle) * vt,
+        vy: Math.sin(normalAngle) * vn + Math.cos(normalAngle) * vt,
         ke: ke,
+        // Distance to the anode face; the full applied voltage drops across it
+        gap: x - (GEO.anode.x + GEO.anode.w),
+        // Real electrons per drawn particle
+        weight: weight,
         dead: false
     });
 }
 
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+// Weighted mix of the component colors, rescaled so the brightest channel is full
+function spectrumToColor(lines) {
+    if (lines.length === 1) return waveLengthToColor(lines[0].lambda);
+
+    let r = 0, g = 0, b = 0;
+    lines.forEach(l => {
+        const c = hexToRgb(waveLengthToColor(l.lambda));
+        r += c.r * l.weight;
+        g += c.g * l.weight;
+        b += c.b * l.weight;
+    });
+
+    const max = Math.max(r, g, b);
+    if (max === 0) return '#000000';
+    return `rgb(${Math.round(r / max * 255)}, ${Math.round(g / max * 255)}, ${Math.round(b / max * 255)})`;
+}
+
 function waveLengthToColor(wavelength) {
     if (wavelength >= 380 && wavelength < 440) return '#8b00ff';
     if (wavelength >= 440 && wavelength < 490) return '#0000ff';
@@ -164,42 +587,45 @@ function loop(timestamp) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     state.time++;
     state.wavePhase -= 0.1;
+    state.frameDt = state.lastFrame ? Math.min(MAX_FRAME_DT, (timestamp - state.lastFrame) / 1000) : 1 / FPS;
+    state.lastFrame = timestamp;
 
     drawVacuumTube();
     drawCircuit();
     drawLightWaves();
 
-    updateElectrons(timestamp);
-
-    // Spawning Logic
-    if (state.intensity > 0) {
-        // Linear scaling: 0 to 100 intensity
-        // We want a noticeable difference.
-        // Let's say max intensity (100) spawns ~3 electrons/frame avg.
-        // Low intensity (10) spawns ~0.3 electrons/frame avg.
-
-        const spawnRate = state.intensity * 0.03;
-        const count = Math.floor(spawnRate);
-        const remainder = spawnRate - count;
-
-        // Guaranteed spawns
-        for (let i = 0; i < count; i++) {
-            spawnRandomElectron();
-        }
-
-        // Probabilistic extra spawn
-        if (Math.random() < remainder) {
-            spawnRandomElectron();
-        }
+    // A sweep runs the tube physics faster so slow electrons near V₀ still arrive within a step
+    state.timeScale = state.sweep.active ? SWEEP.substeps : 1;
+    for (let k = 0; k < state.timeScale; k++) {
+        updateElectrons(timestamp);
+        spawnElectrons();
     }
 
     calculateRealCurrent(timestamp);
+    updateSweep(timestamp);
     drawElectrons();
 
     requestAnimationFrame(loop);
 }
 
-function spawnRandomElectron() {
+function spawnElectrons() {
+    if (state.emission.particleRate <= 0) return;
+
+    const spawnRate = state.emission.particleRate;
+    let count = Math.floor(spawnRate);
+
+    // Probabilistic extra spawn
+    if (Math.random() < spawnRate - count) count++;
+    if (count === 0) return;
+
+    // The particles share the electrons emitted during this frame
+    const weight = state.emission.electronRate * state.frameDt / count;
+    for (let i = 0; i < count; i++) {
+        spawnRandomElectron(weight);
+    }
+}
+
+function spawnRandomElectron(weight) {
     // Pick random angle on the arc
     const theta = (Math.random() - 0.5) * 2 * GEO.cathode.angleSpread;
 
@@ -211,21 +637,23 @@ function spawnRandomElectron() {
     const ey = cy + r * Math.sin(theta);
 
     const normalAngle = theta + Math.PI;
+    const photonE = HC / samplePhotonWavelength();
 
-    spawnElectron(ex - 2, ey, normalAngle);
+    spawnElectron(ex - 2, ey, normalAngle, photonE, weight);
 }
 
 function drawLightWaves() {
-    if (state.intensity === 0) return;
+    if (state.irradiance === 0 || state.spectrum.transmitted === 0) return;
 
     const startX = 50;
     const startY = 30;
 
     // Target the dish surface
     ctx.save();
-    const color = waveLengthToColor(state.lambda);
+    const color = spectrumToColor(state.spectrum.lines);
     ctx.strokeStyle = color;
-    ctx.globalAlpha = 0.2 + (state.intensity / 200);
+    const relIrradiance = state.irradiance / parseFloat(els.irradiance.max);
+    ctx.globalAlpha = (0.2 + relIrradiance / 2) * Math.min(1, 0.3 + state.spectrum.transmitted);
     ctx.lineWidth = 2;
 
     const numWaves = 6;
@@ -377,12 +805,13 @@ function drawCircuit() {
     ctx.lineWidth = 2;
     ctx.strokeRect(ammeterX - 30, ammeterY - 20, 60, 40);
 
+    const unit = currentUnit(state.ammeterCurrent);
     ctx.fillStyle = '#f59e0b';
     ctx.font = 'bold 14px "Roboto Mono"';
     ctx.textAlign = 'center';
-    ctx.fillText(state.ammeterCurrent.toFixed(1), ammeterX, ammeterY + 5);
+    ctx.fillText((state.ammeterCurrent * unit.scale).toFixed(1), ammeterX, ammeterY + 5);
     ctx.font = '10px sans-serif';
-    ctx.fillText("μA", ammeterX + 20, ammeterY + 15);
+    ctx.fillText(unit.label, ammeterX + 20, ammeterY + 15);
 
     // --- Light Bulb (Series on Right Wire) ---
     const bulbX = GEO.wireXRight;
@@ -397,7 +826,7 @@ function drawBulb(x, y, current) {
     ctx.fillRect(x - 50, y - 50, 100, 100);
 
     // Calculate Brightness
-    const brightness = Math.min(1, Math.max(0, current / 10));
+    const brightness = Math.min(1, Math.max(0, current / BULB_FULL_CURRENT));
 
     ctx.save();
 
@@ -445,13 +874,14 @@ function drawBulb(x, y, current) {
 }
 
 function updateElectrons(timestamp) {
-    const forceFactor = state.voltage * 0.05;
     const tubeTop = GEO.tubeCenter.y - 120;
     const tubeBottom = GEO.tubeCenter.y + 120;
 
     state.electrons.forEach(e => {
         // Force -x direction
-        e.vx -= forceFactor;
+        // Scaled so the work done across the gap equals e·V in the KE units of
+        // spawnElectron (½v² = ½·SCALE_SPEED²·KE), i.e. V₀ = KEmax / e.
+        e.vx -= state.voltage * SCALE_SPEED * SCALE_SPEED / (2 * e.gap);
         e.x += e.vx;
         e.y += e.vy;
 
@@ -462,7 +892,7 @@ function updateElectrons(timestamp) {
             !e.dead) {
 
             e.dead = true;
-            recordHit(timestamp);
+            recordHit(timestamp, e.weight * E_CHARGE);
         }
 
         // Cathode Collision
@@ -482,24 +912,23 @@ function updateElectrons(timestamp) {
     state.electrons = state.electrons.filter(e => !e.dead);
 }
 
-function recordHit(timestamp) {
-    state.hitHistory.push(timestamp);
+function recordHit(timestamp, charge) {
+    state.hitHistory.push({ t: timestamp, q: charge });
+    if (state.sweep.active && state.sweep.sampleStart) state.sweep.charge += charge;
 }
 
 function calculateRealCurrent(timestamp) {
     const windowSize = 500;
-    state.hitHistory = state.hitHistory.filter(t => (timestamp - t) < windowSize);
+    state.hitHistory = state.hitHistory.filter(h => (timestamp - h.t) < windowSize);
 
-    const count = state.hitHistory.length;
+    const charge = state.hitHistory.reduce((a, h) => a + h.q, 0);
 
-    // Adjusted scale since we now have MORE electrons
-    const scale = 0.2; // Reduced scale per hit because count is higher
-    const current = count * scale * (1000 / windowSize);
+    const current = charge * (1000 / windowSize) / state.timeScale;
 
     state.ammeterCurrent = state.ammeterCurrent * 0.9 + current * 0.1;
 
     if (!state.lastUIRefresh || timestamp - state.lastUIRefresh > 100) {
-        els.current.innerText = state.ammeterCurrent.toFixed(2) + ' μA';
+        els.current.innerText = formatCurrent(state.ammeterCurrent);
         state.lastUIRefresh = timestamp;
     }
 }
@@ -514,5 +943,410 @@ function drawElectrons() {
 }
 
 
+// --- I-V Sweep ---
+
+function setVoltage(v) {
+    state.voltage = v;
+    els.voltage.value = v;
+    els.voltageVal.innerText = v.toFixed(2) + ' V';
+    updatePhysics();
+}
+
+function getSweepVoltage(index) {
+    return parseFloat(els.voltage.min) + index * SWEEP.step;
+}
+
+function startSweep() {
+    const sw = state.sweep;
+    sw.active = true;
+    sw.stepIndex = 0;
+    sw.stepStart = 0;
+    sw.sampleStart = 0;
+    sw.charge = 0;
+    sw.points = [];
+    sw.lambda = getEffectiveWavelength();
+    sw.saturation = null;
+    sw.stoppingPotential = null;
+
+    els.voltage.disabled = true;
+    els.btnZero.disabled = true;
+    els.btnSweep.innerText = 'Taramayı Durdur';
+    els.saturation.innerText = '-- nA';
+    els.stopping.innerText = '-- V';
+
+    // Electrons still in flight from a large voltage jump would leak into the first points
+    state.electrons = [];
+    setVoltage(getSweepVoltage(0));
+    drawIVCurve();
+}
+
+function stopSweep() {
+    const sw = state.sweep;
+    if (!sw.active) return;
+    sw.active = false;
+
+    els.voltage.disabled = false;
+    els.btnZero.disabled = false;
+    els.btnSweep.innerText = 'Taramayı Başlat';
+    els.sweepStatus.innerText = sw.points.length ? 'Durduruldu' : 'Hazır';
+}
+
+// A recorded curve and its V₀ belong to the light and metal they were taken with
+function clearSweep() {
+    const sw = state.sweep;
+    stopSweep();
+    if (!sw.points.length) return;
+
+    sw.points = [];
+    sw.saturation = null;
+    sw.stoppingPotential = null;
+    els.saturation.innerText = '-- nA';
+    els.stopping.innerText = '-- V';
+    els.sweepStatus.innerText = 'Hazır';
+    els.v0Input.value = '';
+    drawIVCurve();
+}
+
+function updateSweep(timestamp) {
+    const sw = state.sweep;
+    if (!sw.active) return;
+
+    if (!sw.stepStart) sw.stepStart = timestamp;
+
+    // Settle, then count anode hits for a fixed window
+    if (!sw.sampleStart) {
+        if (timestamp - sw.stepStart < SWEEP.settleTime) return;
+        sw.sampleStart = timestamp;
+        sw.charge = 0;
+        return;
+    }
+
+    const elapsed = timestamp - sw.sampleStart;
+    if (elapsed < SWEEP.sampleTime) return;
+
+    const current = sw.charge * (1000 / elapsed) / SWEEP.substeps;
+    sw.points.push({ v: state.voltage, i: current });
+    analyzeSweep();
+    drawIVCurve();
+
+    const vMax = parseFloat(els.voltage.max);
+    const next = getSweepVoltage(sw.stepIndex + 1);
+    if (next > vMax + 1e-9) {
+        stopSweep();
+        els.sweepStatus.innerText = 'Tamamlandı';
+        els.v0Input.value = sw.stoppingPotential !== null ? sw.stoppingPotential.toFixed(2) : '';
+        return;
+    }
+
+    sw.stepIndex++;
+    sw.stepStart = timestamp;
+    sw.sampleStart = 0;
+    setVoltage(next);
+    els.sweepStatus.innerText = `${sw.points.length} nokta`;
+}
+
+/**
+ * Saturation current is the mean of the top quarter of the recorded voltage
+ * range. The stopping potential is where the current last rises out of zero:
+ * the rising edge is extrapolated linearly down to I = 0 and kept inside the
+ * interval bracketed by the last zero point.
+ */
+function analyzeSweep() {
+    const sw = state.sweep;
+    const pts = sw.points;
+    if (pts.length < 2) return;
+
+    const vMin = parseFloat(els.voltage.min);
+    const vMax = parseFloat(els.voltage.max);
+    const plateauStart = vMax - (vMax - vMin) / 4;
+    const plateau = pts.filter(p => p.v >= plateauStart);
+    sw.saturation = plateau.length ? plateau.reduce((a, p) => a + p.i, 0) / plateau.length : null;
+
+    const ref = sw.saturation || Math.max(...pts.map(p => p.i));
+    const threshold = ref * SWEEP.zeroFraction;
+
+    let lastZero = -1;
+    for (let k = 0; k < pts.length; k++) {
+        if (pts[k].i <= threshold) lastZero = k;
+    }
+
+    sw.stoppingPotential = null;
+    if (lastZero >= 0 && lastZero < pts.length - 1 && pts[lastZero + 1].i > threshold) {
+        const a = pts[lastZero];
+        const b = pts[lastZero + 1];
+        const c = pts[lastZero + 2];
+        let vCross = (a.v + b.v) / 2;
+        if (c && c.i > b.i) {
+            vCross = b.v - b.i * (c.v - b.v) / (c.i - b.i);
+            vCross = Math.min(b.v, Math.max(a.v, vCross));
+        }
+        sw.stoppingPotential = Math.max(0, -vCross);
+    }
+
+    els.saturation.innerText = sw.saturation !== null ? formatCurrent(sw.saturation) : '-- nA';
+    if (sw.stoppingPotential !== null) {
+        let text = sw.stoppingPotential.toFixed(2) + ' V';
+        if (state.metalName !== 'unknown') {
+            const expected = Math.max(0, HC / sw.lambda - state.workFunction);
+            text += ` (kuram: ${expected.toFixed(2)} V)`;
+        }
+        els.stopping.innerText = text;
+    } else {
+        els.stopping.innerText = '-- V';
+    }
+}
+
+function drawIVCurve() {
+    const w = ivCanvas.width;
+    const h = ivCanvas.height;
+    const pad = { left: 45, right: 10, top: 15, bottom: 30 };
+    const plotW = w - pad.left - pad.right;
+    const plotH = h - pad.top - pad.bottom;
+    const sw = state.sweep;
+
+    ivCtx.clearRect(0, 0, w, h);
+
+    const vMin = parseFloat(els.voltage.min);
+    const vMax = parseFloat(els.voltage.max);
+    const iMax = Math.max(1e-9, ...sw.points.map(p => p.i)) * 1.15;
+    const unit = currentUnit(iMax);
+
+    const toX = v => pad.left + (v - vMin) / (vMax - vMin) * plotW;
+    const toY = i => pad.top + plotH - (i / iMax) * plotH;
+
+    // Axes
+    ivCtx.strokeStyle = '#475569';
+    ivCtx.lineWidth = 1;
+    ivCtx.beginPath();
+    ivCtx.moveTo(pad.left, pad.top);
+    ivCtx.lineTo(pad.left, pad.top + plotH);
+    ivCtx.lineTo(pad.left + plotW, pad.top + plotH);
+    ivCtx.stroke();
+
+    // V = 0 line
+    ivCtx.setLineDash([2, 4]);
+    ivCtx.beginPath();
+    ivCtx.moveTo(toX(0), pad.top);
+    ivCtx.lineTo(toX(0), pad.top + plotH);
+    ivCtx.stroke();
+    ivCtx.setLineDash([]);
+
+    // Axis labels
+    ivCtx.fillStyle = '#94a3b8';
+    ivCtx.font = '10px "Roboto Mono"';
+    ivCtx.textAlign = 'center';
+    for (let v = Math.ceil(vMin); v <= vMax; v++) {
+        ivCtx.fillText(v, toX(v), pad.top + plotH + 12);
+    }
+    ivCtx.fillText('V (V)', pad.left + plotW / 2, h - 4);
+    ivCtx.textAlign = 'right';
+    ivCtx.fillText((iMax * unit.scale).toFixed(1), pad.left - 4, pad.top + 8);
+    ivCtx.fillText('0', pad.left - 4, pad.top + plotH);
+    ivCtx.save();
+    ivCtx.translate(12, pad.top + plotH / 2);
+    ivCtx.rotate(-Math.PI / 2);
+    ivCtx.textAlign = 'center';
+    ivCtx.fillText(`I (${unit.label})`, 0, 0);
+    ivCtx.restore();
+
+    if (sw.points.length === 0) return;
+
+    // Saturation plateau
+    if (sw.saturation !== null) {
+        ivCtx.strokeStyle = 'rgba(16, 185, 129, 0.7)';
+        ivCtx.setLineDash([6, 4]);
+        ivCtx.beginPath();
+        ivCtx.moveTo(pad.left, toY(sw.saturation));
+        ivCtx.lineTo(pad.left + plotW, toY(sw.saturation));
+        ivCtx.stroke();
+        ivCtx.setLineDash([]);
+        ivCtx.fillStyle = '#10b981';
+        ivCtx.textAlign = 'right';
+        ivCtx.fillText('I_doyma', pad.left + plotW, toY(sw.saturation) - 4);
+    }
+
+    // Stopping potential marker
+    if (sw.stoppingPotential !== null) {
+        const x = toX(-sw.stoppingPotential);
+        ivCtx.strokeStyle = 'rgba(239, 68, 68, 0.8)';
+        ivCtx.beginPath();
+        ivCtx.moveTo(x, pad.top);
+        ivCtx.lineTo(x, pad.top + plotH);
+        ivCtx.stroke();
+        ivCtx.fillStyle = '#ef4444';
+        ivCtx.textAlign = 'left';
+        ivCtx.fillText(`-V₀ = ${(-sw.stoppingPotential).toFixed(2)} V`, x + 4, pad.top + 10);
+    }
+
+    // Recorded curve
+    ivCtx.strokeStyle = '#f59e0b';
+    ivCtx.lineWidth = 2;
+    ivCtx.beginPath();
+    sw.points.forEach((p, k) => {
+        if (k === 0) ivCtx.moveTo(toX(p.v), toY(p.i));
+        else ivCtx.lineTo(toX(p.v), toY(p.i));
+    });
+    ivCtx.stroke();
+
+    ivCtx.fillStyle = '#fbbf24';
+    sw.points.forEach(p => {
+        ivCtx.beginPath();
+        ivCtx.arc(toX(p.v), toY(p.i), 2, 0, Math.PI * 2);
+        ivCtx.fill();
+    });
+}
+
+// --- Planck Constant Notebook ---
+
+function recordMeasurement() {
+    const v0 = parseFloat(els.v0Input.value);
+    if (isNaN(v0) || v0 < 0) {
+        alert("Önce geçerli bir durdurma potansiyeli (V₀) girin veya bir tarama yapın.");
+        return;
+    }
+
+    // A completed sweep ties V₀ to the wavelength it was measured at
+    const lambda = state.sweep.points.length ? state.sweep.lambda : getEffectiveWavelength();
+    if (lambda === null) {
+        alert("Filtre ışığı geçirmiyor; ölçüm bir dalga boyuna bağlanamaz.");
+        return;
+    }
+    state.notebook.push({
+        lambda: lambda,
+        freq: C_LIGHT / (lambda * 1e-9),
+        v0: v0,
+        metal: state.metalName
+    });
+    updateNotebook();
+}
+
+// Least squares fit y = slope * x + intercept
+function linearFit(points) {
+    const n = points.length;
+    if (n < 2) return null;
+
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    points.forEach(p => {
+        sumX += p.x;
+        sumY += p.y;
+        sumXY += p.x * p.y;
+        sumXX += p.x * p.x;
+    });
+
+    const denom = n * sumXX - sumX * sumX;
+    if (Math.abs(denom) < 1e-12) return null;
+
+    const slope = (n * sumXY - sumX * sumY) / denom;
+    const intercept = (sumY - slope * sumX) / n;
+    return { slope, intercept };
+}
+
+// Fit in units of 10^14 Hz to keep the sums well conditioned
+function fitNotebook() {
+    const points = state.notebook
+        .filter(m => m.metal === state.metalName)
+        .map(m => ({ x: m.freq / 1e14, y: m.v0 }));
+    const fit = linearFit(points);
+    return { points, fit };
+}
+
+function updateNotebook() {
+    els.notebookBody.innerHTML = '';
+    state.notebook.forEach((m, i) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${m.lambda}</td>
+            <td>${(m.freq / 1e14).toFixed(3)}</td>
+            <td>${m.v0.toFixed(2)}</td>
+            <td>${METALS[m.metal].name}</td>
+            <td><button class="row-delete" data-index="${i}" title="Sil">✕</button></td>
+        `;
+        els.notebookBody.appendChild(row);
+    });
+
+    const { fit } = fitNotebook();
+    if (fit && fit.slope > 0) {
+        const hMeasured = fit.slope * 1e-14 * E_CHARGE; // slope is h/e in V per 10^14 Hz
+        const errPct = (hMeasured - H_PLANCK) / H_PLANCK * 100;
+        els.fitH.innerText = `${(hMeasured / 1e-34).toFixed(3)}e-34 J·s (${errPct >= 0 ? '+' : ''}${errPct.toFixed(1)} %)`;
+        els.fitPhi.innerText = (-fit.intercept).toFixed(2) + ' eV';
+        els.fitThreshold.innerText = (-fit.intercept / fit.slope * 100).toFixed(1) + ' THz';
+    } else {
+        els.fitH.innerText = '--';
+        els.fitPhi.innerText = '--';
+        els.fitThreshold.innerText = '--';
+    }
+
+    drawFitPlot();
+}
+
+function drawFitPlot() {
+    const w = fitCanvas.width;
+    const h = fitCanvas.height;
+    const pad = { left: 40, right: 10, top: 15, bottom: 30 };
+    const plotW = w - pad.left - pad.right;
+    const plotH = h - pad.top - pad.bottom;
+    const { points, fit } = fitNotebook();
+
+    fitCtx.clearRect(0, 0, w, h);
+
+    // Frequency axis spans the slider range so the threshold is in view
+    const xMin = 0;
+    const xMax = C_LIGHT / (parseFloat(els.wavelength.min) * 1e-9) / 1e14;
+    const yMax = Math.max(2, ...points.map(p => p.y)) * 1.15;
+
+    const toX = x => pad.left + (x - xMin) / (xMax - xMin) * plotW;
+    const toY = y => pad.top + plotH - (y / yMax) * plotH;
+
+    // Axes
+    fitCtx.strokeStyle = '#475569';
+    fitCtx.lineWidth = 1;
+    fitCtx.beginPath();
+    fitCtx.moveTo(pad.left, pad.top);
+    fitCtx.lineTo(pad.left, pad.top + plotH);
+    fitCtx.lineTo(pad.left + plotW, pad.top + plotH);
+    fitCtx.stroke();
+
+    fitCtx.fillStyle = '#94a3b8';
+    fitCtx.font = '10px "Roboto Mono"';
+    fitCtx.textAlign = 'center';
+    for (let x = 0; x <= xMax; x += 5) {
+        fitCtx.fillText(x, toX(x), pad.top + plotH + 12);
+    }
+    fitCtx.fillText('ν (10¹⁴ Hz)', pad.left + plotW / 2, h - 4);
+    fitCtx.textAlign = 'right';
+    fitCtx.fillText(yMax.toFixed(1), pad.left - 4, pad.top + 8);
+    fitCtx.fillText('0', pad.left - 4, pad.top + plotH);
+    fitCtx.save();
+    fitCtx.translate(12, pad.top + plotH / 2);
+    fitCtx.rotate(-Math.PI / 2);
+    fitCtx.textAlign = 'center';
+    fitCtx.fillText('V₀ (V)', 0, 0);
+    fitCtx.restore();
+
+    // Fitted line, clipped to the positive V₀ region
+    if (fit && fit.slope > 0) {
+        const x0 = Math.max(xMin, -fit.intercept / fit.slope);
+        const x1 = Math.min(xMax, (yMax - fit.intercept) / fit.slope);
+        fitCtx.strokeStyle = '#10b981';
+        fitCtx.lineWidth = 2;
+        fitCtx.beginPath();
+        fitCtx.moveTo(toX(x0), toY(fit.slope * x0 + fit.intercept));
+        fitCtx.lineTo(toX(x1), toY(fit.slope * x1 + fit.intercept));
+        fitCtx.stroke();
+
+        // Extrapolation to the threshold frequency
+        fitCtx.fillStyle = '#10b981';
+        fitCtx.textAlign = 'left';
+        fitCtx.fillText('ν₀', toX(x0) + 4, pad.top + plotH - 6);
+    }
+
+    fitCtx.fillStyle = '#f59e0b';
+    points.forEach(p => {
+        fitCtx.beginPath();
+        fitCtx.arc(toX(p.x), toY(p.y), 4, 0, Math.PI * 2);
+        fitCtx.fill();
+    });
+}
 
 init();
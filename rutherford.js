@@ -21,6 +21,21 @@ document.addEventListener("DOMContentLoaded", () => {
     const alphaCountDisp = document.getElementById("alpha-count");
     const backscatterCountDisp = document.getElementById("backscatter-count");
 
+    const beamRateSelect = document.getElementById("beam-rate");
+    const angularCanvas = document.getElementById("angularCanvas");
+    const angularCtx = angularCanvas.getContext("2d");
+    const detectorCountDisp = document.getElementById("detector-count");
+    const thetaMinDisp = document.getElementById("theta-min");
+    const closestApproachDisp = document.getElementById("closest-approach");
+    const btnResetDetector = document.getElementById("btn-reset-detector");
+    const largeAngleDisp = document.getElementById("large-angle");
+
+    const targetModeSelect = document.getElementById("target-mode");
+    const atomModelSelect = document.getElementById("atom-model");
+    const foilControls = document.getElementById("foil-controls");
+    const thicknessSlider = document.getElementById("foil-thickness");
+    const thicknessVal = document.getElementById("foil-thickness-val");
+
     // Simulation State
     let particles = [];
     let isAutoFiring = false;
@@ -39,8 +54,42 @@ document.addEventListener("DOMContentLoaded", () => {
     const NUC_X = canvas.width / 2 + 100; // Shifted slightly right to give more incoming time
     const NUC_Y = canvas.height / 2;
 
+    // Detector ring: angular bins around the target, filled by the beam particles
+    const DETECTOR_BINS = 36; // 5° each
+    const RING_RADIUS = 250; // px, where the ring is drawn
+    const ESCAPE_RADIUS = 20000; // px, "infinity": where alphas start and where their final angle is taken
+    const BEAM_RADIUS_FM = 20; // radius of the beam cross-section
+
+    // Foil: a staggered lattice of atoms, each neutral beyond ATOM_RADIUS. The
+    // Coulomb strength is scaled down so the nucleus is tiny next to its atom
+    // (closest approach ~0.8 px against a 20 px atom for gold at 5 MeV).
+    const FOIL_SPACING = 40; // px between atoms
+    const ATOM_RADIUS = 20; // px, electron cloud or Thomson sphere
+    const FOIL_FORCE_SCALE = 0.01;
+    const FOIL_BEAM_HALF_WIDTH = 200; // px, the beam is spread evenly over this strip
+    const SERIES_COLORS = { rutherford: '#ef4444', thomson: '#a78bfa' };
+
+    // One angular distribution per atom model, so the two can be compared after switching
+    function newSeries() {
+        return { counts: new Array(DETECTOR_BINS).fill(0), beamFired: 0 };
+    }
+
+    let detector = {
+        rutherford: newSeries(),
+        thomson: newSeries()
+    };
+
+    function isFoilMode() {
+        return targetModeSelect.value === "foil";
+    }
+
+    // The single nucleus is always Rutherford's; the model choice applies to the foil
+    function activeSeries() {
+        return detector[isFoilMode() ? atomModelSelect.value : "rutherford"];
+    }
+
     class AlphaParticle {
-        constructor(x, y, vx, vy) {
+        constructor(x, y, vx, vy, series) {
             this.x = x;
             this.y = y;
             this.vx = vx;
@@ -51,11 +100,42 @@ document.addEventListener("DOMContentLoaded", () => {
             this.lastAx = 0;
             this.lastAy = 0;
             this.forceMag = 0;
+            this.series = series; // detector series of a beam particle, null for single shots
+            this.theta = null; // final scattering angle (rad)
         }
 
         update(Z, dt) {
             if (!this.active) return;
 
+            if (isFoilMode()) this.stepInFoil(Z, dt);
+            else this.stepNearNucleus(Z, dt);
+            if (!this.active) return;
+
+            // Record path for trail
+            // Only add point if moved sufficiently to save memory
+            let lastP = this.path[this.path.length-1];
+            let distMovedSq = (this.x - lastP[0])**2 + (this.y - lastP[1])**2;
+            if (distMovedSq > 4) {
+                this.path.push([this.x, this.y]);
+                if (this.path.length > 300) this.path.shift();
+            }
+
+            // Check bounds (Off-screen)
+            if (this.x < -50 || this.x > canvas.width + 50 || this.y < -50 || this.y > canvas.height + 50) {
+                this.active = false;
+                this.escape(Z);
+                // If it exited left (x < -50) and it came from the left, it was backscattered > 90 deg
+                if (this.vx < 0 && this.x < NUC_X) {
+                    if (!this.scattered) {
+                        this.scattered = true;
+                        stats.backscattered++;
+                        updateReadouts();
+                    }
+                }
+            }
+        }
+
+        stepNearNucleus(Z, dt) {
             // Multiple sub-steps for better integration near nucleus
             const SUBSTEPS = 5;
             const subDt = dt / SUBSTEPS;
@@ -87,30 +167,54 @@ document.addEventListener("DOMContentLoaded", () => {
                 this.x += this.vx * subDt;
                 this.y += this.vy * subDt;
             }
+        }
 
-            // Record path for trail
-            // Only add point if moved sufficiently to save memory
-            let lastP = this.path[this.path.length-1];
-            let distMovedSq = (this.x - lastP[0])**2 + (this.y - lastP[1])**2;
-            if (distMovedSq > 4) {
-                this.path.push([this.x, this.y]);
-                if (this.path.length > 300) this.path.shift();
-            }
-
-            // Check bounds (Off-screen)
-            if (this.x < -50 || this.x > canvas.width + 50 || this.y < -50 || this.y > canvas.height + 50) {
-                this.active = false;
-                // If it exited left (x < -50) and it came from the left, it was backscattered > 90 deg
-                if (this.vx < 0 && this.x < NUC_X) {
-                    if (!this.scattered) {
-                        this.scattered = true;
-                        stats.backscattered++;
-                        updateReadouts();
+        /**
+         * Inside the foil only the atom the alpha is in acts on it. Steps are at
+         * most 1 px and shrink to a tenth of the distance to the nucleus, so
+         * the rare close encounters that give large angles stay accurate.
+         */
+        stepInFoil(Z, dt) {
+            let remaining = dt;
+            while (remaining > 0) {
+                let speed = Math.hypot(this.vx, this.vy);
+                let h = Math.min(remaining, 1 / speed);
+                let ax = 0;
+                let ay = 0;
+                let atom = atomAt(this.x, this.y);
+                if (atom) {
+                    let dx = this.x - atom.x;
+                    let dy = this.y - atom.y;
+                    let r = Math.hypot(dx, dy);
+                    h = Math.min(h, Math.max(0.1 * r, 0.01) / speed);
+                    if (r > 0) {
+                        let a = atomForce(r, Z);
+                        ax = a * (dx / r);
+                        ay = a * (dy / r);
                     }
                 }
+                this.lastAx = ax;
+                this.lastAy = ay;
+                this.forceMag = Math.hypot(ax, ay);
+
+                this.vx += ax * h;
+                this.vy += ay * h;
+                this.x += this.vx * h;
+                this.y += this.vy * h;
+                remaining -= h;
             }
         }
 
+        // Follows the particle off-screen until the Coulomb force no longer turns it,
+        // then records the angle of its velocity to the beam axis
+        escape(Z) {
+            let s = { x: this.x, y: this.y, vx: this.vx, vy: this.vy };
+            // The foil atoms are neutral outside, so its alphas already fly straight
+            if (!isFoilMode()) coast(s, Z, () => Math.hypot(s.x - NUC_X, s.y - NUC_Y) < ESCAPE_RADIUS);
+            this.theta = Math.atan2(Math.abs(s.vy), s.vx);
+            if (this.series) recordAngle(this.series, this.theta);
+        }
+
         draw(ctx, showTrails, showForce) {
             // Trail
             if (showTrails && this.path.length > 1) {
@@ -156,25 +260,333 @@ document.addEventListener("DOMContentLoaded", () => {
         backscatterCountDisp.textContent = stats.backscattered;
     }
 
-    function fireParticle(impactFm) {
+    // Base speed based on Energy. E=5.0 -> speed = 6
+    function initialSpeed(E) {
+        return 6.0 * Math.sqrt(E / 5.0);
+    }
+
+    /**
+     * Moves the state {x, y, vx, vy} through the Coulomb field of the nucleus
+     * while keepGoing() holds, in steps of r/20: far from the nucleus the force
+     * falls off as 1/r², so large steps stay accurate.
+     */
+    function coast(s, Z, keepGoing) {
+        while (keepGoing()) {
+            let r = Math.hypot(s.x - NUC_X, s.y - NUC_Y);
+            let h = r / 20 / Math.hypot(s.vx, s.vy);
+            let a = (K_FORCE * Z) / (r * r);
+            s.vx += a * ((s.x - NUC_X) / r) * h;
+            s.vy += a * ((s.y - NUC_Y) / r) * h;
+            s.x += s.vx * h;
+            s.y += s.vy * h;
+        }
+    }
+
+    function fireParticle(impactFm, series) {
         let E = parseFloat(energySlider.value);
         let Z = parseInt(targetSelect.value);
+        let v0 = initialSpeed(E);
 
-        // Base speed based on Energy. E=5.0 -> speed = 6
-        let v0 = 6.0 * Math.sqrt(E / 5.0);
-        
-        // Start position
-        let startX = 0;
-        let startY = NUC_Y + (impactFm * PX_PER_FM);
+        // E and b are defined far from the nucleus: the alpha starts there and is
+        // carried to the left edge, arriving slowed and slightly turned by the field
+        let s = { x: NUC_X - ESCAPE_RADIUS, y: NUC_Y + (impactFm * PX_PER_FM), vx: v0, vy: 0 };
+        if (isFoilMode()) s.x = 0;
+        else coast(s, Z, () => s.x < 0);
 
-        particles.push(new AlphaParticle(startX, startY, v0, 0));
+        particles.push(new AlphaParticle(0, s.y, s.vx, s.vy, series));
         stats.fired++;
+        if (series) series.beamFired++;
         updateReadouts();
     }
 
+    // Uniform over the circular beam cross-section: P(b) ∝ b, so b = R·√u.
+    // The trajectory stays in the plane through the beam axis and b, drawn here
+    // with b above or below the axis. The foil beam is spread evenly over a strip.
+    function sampleImpactParameter() {
+        if (isFoilMode()) return (Math.random() * 2 - 1) * FOIL_BEAM_HALF_WIDTH / PX_PER_FM;
+        let b = BEAM_RADIUS_FM * Math.sqrt(Math.random());
+        return Math.random() < 0.5 ? b : -b;
+    }
+
+    // --- Foil ---
+    function foilLayers() {
+        return parseInt(thicknessSlider.value);
+    }
+
+    // Center of the atom containing (x, y), or null between atoms; odd layers are shifted by half a spacing
+    function atomAt(x, y) {
+        let layers = foilLayers();
+        let x0 = NUC_X - (layers - 1) * FOIL_SPACING / 2;
+        let c = Math.round((x - x0) / FOIL_SPACING);
+        if (c < 0 || c >= layers) return null;
+        let offset = (c % 2) * FOIL_SPACING / 2;
+        let ax = x0 + c * FOIL_SPACING;
+        let ay = NUC_Y + offset + Math.round((y - NUC_Y - offset) / FOIL_SPACING) * FOIL_SPACING;
+        return Math.hypot(x - ax, y - ay) < ATOM_RADIUS ? { x: ax, y: ay } : null;
+    }
+
+    /**
+     * Repulsion on the alpha at distance r from an atom's center.
+     * Rutherford: point nucleus inside a uniform electron cloud, KZ(1/r² − r/R³).
+     * Thomson: positive charge spread over the whole atom, KZ·r/R³, at most
+     * KZ/R², with the light electrons neglected. Both vanish outside R.
+     */
+    function atomForce(r, Z) {
+        let k = K_FORCE * FOIL_FORCE_SCALE * Z;
+        let R3 = Math.pow(ATOM_RADIUS, 3);
+        if (atomModelSelect.value === "thomson") return k * r / R3;
+        return k * (1 / (r * r) - r / R3);
+    }
+
+    function drawFoil() {
+        let layers = foilLayers();
+        let x0 = NUC_X - (layers - 1) * FOIL_SPACING / 2;
+        let thomson = atomModelSelect.value === "thomson";
+        for (let c = 0; c < layers; c++) {
+            let x = x0 + c * FOIL_SPACING;
+            let offset = (c % 2) * FOIL_SPACING / 2;
+            for (let y = NUC_Y + offset - Math.ceil(NUC_Y / FOIL_SPACING + 1) * FOIL_SPACING; y < canvas.height + ATOM_RADIUS; y += FOIL_SPACING) {
+                ctx.beginPath();
+                ctx.arc(x, y, ATOM_RADIUS - 1, 0, Math.PI * 2);
+                if (thomson) {
+                    // Pudding with a few electron plums
+                    ctx.fillStyle = 'rgba(244, 114, 182, 0.25)';
+                    ctx.fill();
+                    ctx.fillStyle = '#38bdf8';
+                    for (let k = 0; k < 4; k++) {
+                        let ang = k * Math.PI / 2 + c;
+                        ctx.beginPath();
+                        ctx.arc(x + Math.cos(ang) * ATOM_RADIUS * 0.5, y + Math.sin(ang) * ATOM_RADIUS * 0.5, 1.5, 0, Math.PI * 2);
+                        ctx.fill();
+                    }
+                } else {
+                    // Electron cloud around a point nucleus
+                    ctx.strokeStyle = 'rgba(56, 189, 248, 0.2)';
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                    ctx.fillStyle = '#fbbf24';
+                    ctx.beginPath();
+                    ctx.arc(x, y, 1.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        }
+    }
+
+    // --- Detector ---
+    function recordAngle(series, theta) {
+        let bin = Math.min(DETECTOR_BINS - 1, Math.floor(theta / Math.PI * DETECTOR_BINS));
+        series.counts[bin]++;
+        updateDetectorReadouts();
+    }
+
+    function resetDetector() {
+        detector.rutherford = newSeries();
+        detector.thomson = newSeries();
+        // Particles still in flight belong to the old settings
+        particles.forEach(p => { p.series = null; });
+        updateDetectorReadouts();
+    }
+
+    // Head-on distance of closest approach (px): ½v₀² = K·Z/d
+    function closestApproach(E, Z) {
+        let v0 = initialSpeed(E);
+        return 2 * K_FORCE * Z / (v0 * v0);
+    }
+
+    /**
+     * Rutherford formula for the beam: dσ/dΩ = (d/4)² / sin⁴(θ/2), divided by
+     * the beam area, gives the expected fraction of alphas per steradian. The
+     * beam only reaches b ≤ R, so angles below θ_min = 2·atan(d / 2R) are never
+     * produced.
+     */
+    function rutherfordPerSr(theta, E, Z) {
+        let d = closestApproach(E, Z);
+        let R = BEAM_RADIUS_FM * PX_PER_FM;
+        if (theta < minimumAngle(E, Z)) return 0;
+        return 1 / (Math.PI * R * R) * (d / 4) ** 2 / Math.pow(Math.sin(theta / 2), 4);
+    }
+
+    function minimumAngle(E, Z) {
+        return 2 * Math.atan(closestApproach(E, Z) / (2 * BEAM_RADIUS_FM * PX_PER_FM));
+    }
+
+    // Solid angle of bin i, 2π(cos θ₁ − cos θ₂)
+    function binSolidAngle(i) {
+        let t1 = i * Math.PI / DETECTOR_BINS;
+        let t2 = (i + 1) * Math.PI / DETECTOR_BINS;
+        return 2 * Math.PI * (Math.cos(t1) - Math.cos(t2));
+    }
+
+    // What bin i is normalized by: its solid angle for the circular beam, its
+    // width in radians for the foil strip, whose alphas all stay in the plane
+    function binMeasure(i) {
+        return isFoilMode() ? Math.PI / DETECTOR_BINS : binSolidAngle(i);
+    }
+
+    function updateDetectorReadouts() {
+        let E = parseFloat(energySlider.value);
+        let Z = parseInt(targetSelect.value);
+        let series = activeSeries();
+        detectorCountDisp.textContent = series.counts.reduce((a, b) => a + b, 0) + " / " + series.beamFired;
+        // The beam geometry and the formula belong to the single nucleus
+        thetaMinDisp.textContent = isFoilMode() ? "--" : (minimumAngle(E, Z) * 180 / Math.PI).toFixed(1) + "°";
+        closestApproachDisp.textContent = isFoilMode() ? "--" : (closestApproach(E, Z) / PX_PER_FM).toFixed(1) + " fm";
+
+        // Share of alphas turned by more than 90°, per model
+        largeAngleDisp.textContent = Object.keys(detector)
+            .filter(model => detector[model].beamFired > 0)
+            .map(model => {
+                let s = detector[model];
+                let large = s.counts.slice(DETECTOR_BINS / 2).reduce((a, b) => a + b, 0);
+                return (model === "thomson" ? "T " : "R ") + (100 * large / s.beamFired).toFixed(2) + "%";
+            }).join(" · ") || "--";
+    }
+
+    // Series shown on the plot: both models in foil mode, so they can be compared
+    function plottedSeries() {
+        let models = isFoilMode() ? ["rutherford", "thomson"] : ["rutherford"];
+        return models.filter(model => detector[model].beamFired > 0);
+    }
+
+    // Fraction of alphas per steradian (per radian for the foil) against θ on a log scale, with √N error bars and the Rutherford curve
+    function drawAngularPlot() {
+        let w = angularCanvas.width;
+        let h = angularCanvas.height;
+        let padL = 40, padR = 10, padT = 10, padB = 25;
+        let E = parseFloat(energySlider.value);
+        let Z = parseInt(targetSelect.value);
+
+        angularCtx.clearRect(0, 0, w, h);
+
+        let models = plottedSeries();
+        let data = {};
+        models.forEach(model => {
+            let s = detector[model];
+            data[model] = s.counts.map((n, i) => ({
+                theta: (i + 0.5) * Math.PI / DETECTOR_BINS,
+                value: n / (s.beamFired * binMeasure(i)),
+                error: Math.sqrt(n) / (s.beamFired * binMeasure(i)),
+                n: n
+            }));
+        });
+
+        // Log range from the curve and the data, in whole decades
+        let values = [];
+        models.forEach(model => data[model].forEach(p => { if (p.n > 0) values.push(p.value); }));
+        let foil = isFoilMode();
+        let thetaMin = foil ? 0 : minimumAngle(E, Z);
+        let showCurve = !foil && models.length > 0;
+        if (showCurve) {
+            values.push(rutherfordPerSr(Math.PI, E, Z));
+            values.push(rutherfordPerSr(Math.max(thetaMin, Math.PI / DETECTOR_BINS), E, Z));
+        }
+        let logMin = values.length ? Math.floor(Math.log10(Math.min(...values))) : -1;
+        let logMax = values.length ? Math.ceil(Math.log10(Math.max(...values))) : 1;
+        if (logMax <= logMin) logMax = logMin + 1;
+
+        let xOf = theta => padL + (theta / Math.PI) * (w - padL - padR);
+        let yOf = v => padT + (logMax - Math.log10(v)) / (logMax - logMin) * (h - padT - padB);
+
+        // Grid and labels
+        angularCtx.strokeStyle = 'rgba(148, 163, 184, 0.2)';
+        angularCtx.fillStyle = '#94a3b8';
+        angularCtx.font = '10px Roboto Mono';
+        angularCtx.lineWidth = 1;
+        angularCtx.textAlign = 'center';
+        for (let deg = 0; deg <= 180; deg += 30) {
+            let x = xOf(deg * Math.PI / 180);
+            angularCtx.beginPath();
+            angularCtx.moveTo(x, padT);
+            angularCtx.lineTo(x, h - padB);
+            angularCtx.stroke();
+            angularCtx.fillText(deg + "°", x, h - 8);
+        }
+        angularCtx.textAlign = 'right';
+        for (let k = logMin; k <= logMax; k++) {
+            let y = yOf(Math.pow(10, k));
+            angularCtx.beginPath();
+            angularCtx.moveTo(padL, y);
+            angularCtx.lineTo(w - padR, y);
+            angularCtx.stroke();
+            angularCtx.fillText("1e" + k, padL - 4, y + 3);
+        }
+        angularCtx.fillText(foil ? "/rad" : "/sr", w - padR - 2, padT + 10);
+
+        // Beam limit θ_min
+        if (!foil) {
+            angularCtx.strokeStyle = 'rgba(56, 189, 248, 0.6)';
+            angularCtx.setLineDash([4, 4]);
+            angularCtx.beginPath();
+            angularCtx.moveTo(xOf(thetaMin), padT);
+            angularCtx.lineTo(xOf(thetaMin), h - padB);
+            angularCtx.stroke();
+            angularCtx.setLineDash([]);
+        }
+
+        // Rutherford curve
+        if (showCurve) {
+            angularCtx.strokeStyle = '#f59e0b';
+            angularCtx.lineWidth = 2;
+            angularCtx.beginPath();
+            let started = false;
+            for (let deg = thetaMin * 180 / Math.PI; deg <= 180; deg += 0.5) {
+                let theta = Math.max(thetaMin, deg * Math.PI / 180);
+                let v = rutherfordPerSr(theta, E, Z);
+                if (v <= 0) continue;
+                if (!started) { angularCtx.moveTo(xOf(theta), yOf(v)); started = true; }
+                else angularCtx.lineTo(xOf(theta), yOf(v));
+            }
+            angularCtx.stroke();
+        }
+
+        // Measured points, the Thomson series shifted a little so the error bars do not overlap
+        models.forEach(model => {
+            let shift = model === "thomson" ? 2 : 0;
+            angularCtx.strokeStyle = SERIES_COLORS[model];
+            angularCtx.fillStyle = SERIES_COLORS[model];
+            angularCtx.lineWidth = 1;
+            data[model].forEach(p => {
+                if (p.n === 0) return;
+                let x = xOf(p.theta) + shift;
+                let lo = Math.max(p.value - p.error, Math.pow(10, logMin));
+                angularCtx.beginPath();
+                angularCtx.moveTo(x, yOf(lo));
+                angularCtx.lineTo(x, yOf(p.value + p.error));
+                angularCtx.stroke();
+                angularCtx.beginPath();
+                angularCtx.arc(x, yOf(p.value), 2.5, 0, Math.PI * 2);
+                angularCtx.fill();
+            });
+        });
+    }
+
+    // The ring around the target, each 5° segment (above and below the beam) shaded by its counts
+    function drawDetectorRing() {
+        let counts = activeSeries().counts;
+        let maxCount = Math.max(...counts);
+        for (let i = 0; i < DETECTOR_BINS; i++) {
+            let n = counts[i];
+            let alpha = n > 0 ? 0.25 + 0.75 * Math.log(1 + n) / Math.log(1 + maxCount) : 0.08;
+            ctx.strokeStyle = n > 0 ? `rgba(56, 189, 248, ${alpha})` : `rgba(148, 163, 184, ${alpha})`;
+            ctx.lineWidth = 6;
+            let a1 = i * Math.PI / DETECTOR_BINS;
+            let a2 = (i + 1) * Math.PI / DETECTOR_BINS - 0.01;
+            // Canvas angles run clockwise from +x: below the axis is +θ, above is −θ
+            ctx.beginPath();
+            ctx.arc(NUC_X, NUC_Y, RING_RADIUS, a1, a2);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(NUC_X, NUC_Y, RING_RADIUS, -a2, -a1);
+            ctx.stroke();
+        }
+    }
+
     // --- Event Listeners ---
     energySlider.addEventListener("input", (e) => {
         energyVal.textContent = parseFloat(e.target.value).toFixed(1) + " MeV";
+        // The angular distribution belongs to one energy and target
+        resetDetector();
     });
 
     impactSlider.addEventListener("input", (e) => {
@@ -185,13 +597,14 @@ document.addEventListener("DOMContentLoaded", () => {
 
     targetSelect.addEventListener("change", (e) => {
         targetZDisplay.textContent = e.target.value;
+        resetDetector();
         // Optionally clear trails when target changes
         // particles = [];
     });
 
     btnFireSingle.addEventListener("click", () => {
         let b = parseFloat(impactSlider.value);
-        fireParticle(b);
+        fireParticle(b, null);
     });
 
     btnAutoFire.addEventListener("click", () => {
@@ -207,6 +620,27 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    btnResetDetector.addEventListener("click", resetDetector);
+
+    targetModeSelect.addEventListener("change", () => {
+        let foil = isFoilMode();
+        foilControls.style.display = foil ? "block" : "none";
+        atomModelSelect.disabled = !foil;
+        particles = []; // trajectories of the other target would no longer match
+        resetDetector();
+    });
+
+    atomModelSelect.addEventListener("change", () => {
+        // Keep both distributions for comparison; alphas in flight belong to the old model
+        particles.forEach(p => { p.series = null; });
+        updateDetectorReadouts();
+    });
+
+    thicknessSlider.addEventListener("input", (e) => {
+        thicknessVal.textContent = e.target.value + " katman";
+        resetDetector();
+    });
+
     btnClearTrails.addEventListener("click", () => {
         particles = particles.filter(p => p.active); // keep only active ones, clear others
         particles.forEach(p => p.path = [[p.x, p.y]]); // reset paths of active ones
@@ -215,40 +649,17 @@ document.addEventListener("DOMContentLoaded", () => {
         updateReadouts();
     });
 
-    // --- Main Loop ---
-    let lastTime = 0;
-    function animate(timestamp) {
-        let dt = 1.0; // Fixed time step for stability, or use (timestamp - lastTime) / 16.6
-
-        // Auto Firing Logic
-        if (isAutoFiring) {
-            autoFireTimer += dt;
-            if (autoFireTimer > 5) { // Fire every 5 frames
-                autoFireTimer = 0;
-                // Random impact parameter between -20 and 20
-                let randB = (Math.random() - 0.5) * 40; 
-                fireParticle(randB);
-                
-                // Show current random b on display
-                impactDisplay.textContent = randB.toFixed(1) + " fm";
-            }
-        }
-
-        // Clear Canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-        // Draw Nucleus
-        let Z = parseInt(targetSelect.value);
+    function drawNucleus(Z) {
         let nucRadius = 6 + (Z / 79) * 4; // visual scaling
-        
+
         ctx.beginPath();
         ctx.arc(NUC_X, NUC_Y, nucRadius, 0, Math.PI * 2);
-        
+
         // Gradient for nucleus
         let grad = ctx.createRadialGradient(NUC_X, NUC_Y, 0, NUC_X, NUC_Y, nucRadius);
         grad.addColorStop(0, '#fbbf24'); // gold-ish center
         grad.addColorStop(1, '#d97706'); 
-        
+
         ctx.fillStyle = grad;
         ctx.fill();
         ctx.shadowBlur = 15;
@@ -265,6 +676,36 @@ document.addEventListener("DOMContentLoaded", () => {
         ctx.moveTo(NUC_X, NUC_Y - nucRadius/2);
         ctx.lineTo(NUC_X, NUC_Y + nucRadius/2);
         ctx.stroke();
+    }
+
+    // --- Main Loop ---
+    let lastTime = 0;
+    function animate(timestamp) {
+        let dt = 1.0; // Fixed time step for stability, or use (timestamp - lastTime) / 16.6
+
+        // Auto Firing Logic
+        if (isAutoFiring) {
+            autoFireTimer += dt;
+            let interval = parseFloat(beamRateSelect.value); // frames per particle
+            while (autoFireTimer > interval) {
+                autoFireTimer -= interval;
+                // Impact parameter sampled over the beam area
+                let randB = sampleImpactParameter();
+                fireParticle(randB, activeSeries());
+
+                // Show current random b on display
+                impactDisplay.textContent = randB.toFixed(1) + " fm";
+            }
+        }
+
+        // Clear Canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        drawDetectorRing();
+
+        let Z = parseInt(targetSelect.value);
+        if (isFoilMode()) drawFoil();
+        else drawNucleus(Z);
 
         // Update & Draw Particles
         const showTrails = showTrailsChk.checked;
@@ -296,10 +737,13 @@ document.addEventListener("DOMContentLoaded", () => {
             }
         }
 
+        drawAngularPlot();
+
         requestAnimationFrame(animate);
     }
 
     // Start
+    updateDetectorReadouts();
     requestAnimationFrame(animate);
 
 });